@@ -1,8 +1,9 @@
 import { ref, computed } from 'vue'
+import { euclideanRhythm } from '../utils/patternGenerators'
 
 // Helper function for efficient MIDI note clamping
-const clampToMidiRange = (note, maxNote = 96) => {
-  const MIN_MIDI = 24
+const clampToMidiRange = (note, maxNote = 96, minNote = 24) => {
+  const MIN_MIDI = minNote
   const OCTAVE = 12
 
   if (note < MIN_MIDI) {
@@ -16,6 +17,24 @@ const clampToMidiRange = (note, maxNote = 96) => {
   return note
 }
 
+// Un paso de la matriz puede ser null, una nota MIDI o un acorde (array de notas)
+const isChordStep = (step) => Array.isArray(step)
+
+const getStepNotes = (step) => {
+  if (Array.isArray(step)) return step.filter(note => typeof note === 'number')
+  return typeof step === 'number' ? [step] : []
+}
+
+// Aplicar una transformación a cada nota de un paso conservando su forma
+// (los acordes se ordenan y sin duplicados; un acorde de una sola nota pasa a nota simple)
+const mapStepNotes = (step, transform) => {
+  if (!Array.isArray(step)) return typeof step === 'number' ? transform(step) : step
+
+  const tones = [...new Set(step.map(transform).filter(note => typeof note === 'number'))].sort((a, b) => a - b)
+  if (tones.length === 0) return null
+  return tones.length === 1 ? tones[0] : tones
+}
+
 export function useScales() {
   // OPTIMIZATION: Cache for scale lookups to avoid repeated object property access
   // Scale intervals are immutable, so caching is safe and beneficial
@@ -176,21 +195,9 @@ export function usePatterns() {
     return notes
   }
 
-  // Generar patrón euclidiano
-  const generateEuclideanPattern = (steps, pulses) => {
-    if (pulses >= steps) {
-      return new Array(steps).fill(true)
-    }
-
-    const pattern = new Array(steps).fill(false)
-    const interval = steps / pulses
-
-    for (let i = 0; i < pulses; i++) {
-      const index = Math.round(i * interval) % steps
-      pattern[index] = true
-    }
-
-    return pattern
+  // Generar patrón euclidiano (Bjorklund, con rotación opcional)
+  const generateEuclideanPattern = (steps, pulses, rotation = 0) => {
+    return euclideanRhythm(steps, pulses, rotation)
   }
 
   // Generar patrón con swing
@@ -256,8 +263,38 @@ export function useNoteUtils() {
     return Math.floor(Math.random() * (maxNote - minNote + 1)) + minNote
   }
 
+  // Plegar una nota por octavas dentro de [min, max] conservando su clase de altura
+  // Si el rango es más estrecho que una octava, se elige la nota de la escala más cercana dentro del rango
+  const foldToRange = (midiNote, noteRange = {}, scale = null, baseNote = 60) => {
+    if (isChordStep(midiNote)) return mapStepNotes(midiNote, note => foldToRange(note, noteRange, scale, baseNote))
+    if (typeof midiNote !== 'number') return midiNote
+
+    const min = noteRange.min ?? 24
+    const max = noteRange.max ?? 96
+    if (min > max) return midiNote
+
+    const folded = clampToMidiRange(midiNote, max, min)
+    if (folded >= min && folded <= max) return folded
+
+    if (Array.isArray(scale) && scale.length > 0) {
+      const basePitchClass = ((baseNote % 12) + 12) % 12
+      let closest = null
+      for (let note = min; note <= max; note++) {
+        const relative = ((note - basePitchClass) % 12 + 12) % 12
+        if (scale.includes(relative) && (closest === null || Math.abs(note - midiNote) < Math.abs(closest - midiNote))) {
+          closest = note
+        }
+      }
+      if (closest !== null) return closest
+    }
+
+    return Math.max(min, Math.min(max, folded))
+  }
+
   // Cuantizar nota a escala
-  const quantizeToScale = (midiNote, scale, baseNote = 60) => {
+  // noteRange opcional { min, max } (por defecto 24-84)
+  const quantizeToScale = (midiNote, scale, baseNote = 60, noteRange = {}) => {
+    if (isChordStep(midiNote)) return mapStepNotes(midiNote, note => quantizeToScale(note, scale, baseNote, noteRange))
     if (typeof midiNote !== 'number') return midiNote
 
     const relativeNote = midiNote - baseNote
@@ -277,7 +314,8 @@ export function useNoteUtils() {
     })
 
     // Devolver la nota cuantizada en rango válido manteniendo la escala
-    const quantizedNote = clampToMidiRange(baseNote + (octave * 12) + closestInterval, 84)
+    const range = { min: noteRange.min ?? 24, max: noteRange.max ?? 84 }
+    const quantizedNote = foldToRange(baseNote + (octave * 12) + closestInterval, range, scale, baseNote)
 
     return quantizedNote
   }
@@ -286,6 +324,7 @@ export function useNoteUtils() {
     midiToNoteName,
     noteNameToMidi,
     generateRandomBaseNote,
+    foldToRange,
     quantizeToScale
   }
 }
@@ -309,24 +348,57 @@ export function useChords() {
     return intervals.map(interval => rootNote + interval)
   }
 
-  // Generar progresión de acordes
-  const generateChordProgression = (scale, baseNote, length = 4) => {
-    const progression = []
+  // Progresiones habituales en grados (0 = I) para escalas de siete notas
+  const commonProgressions = [
+    [0, 4, 5, 3], // I-V-vi-IV
+    [0, 5, 3, 4], // I-vi-IV-V
+    [1, 4, 0, 0], // ii-V-I
+    [0, 3, 4, 0], // I-IV-V-I
+    [5, 3, 0, 4] // vi-IV-I-V
+  ]
+
+  // Acorde diatónico: terceras apiladas sobre un grado de la escala (size 3 = triada, 4 = cuatriada)
+  const buildDiatonicChord = (scale, baseNote, degree, size = 3) => {
+    const tones = []
+    for (let i = 0; i < size; i++) {
+      const index = degree + (i * 2)
+      const octave = Math.floor(index / scale.length)
+      tones.push(baseNote + scale[index % scale.length] + (octave * 12))
+    }
+    return tones
+  }
 
-    for (let i = 0; i < length; i++) {
-      const scaleIndex = Math.floor(Math.random() * scale.length)
-      const chordRoot = baseNote + scale[scaleIndex]
-      const chordType = Math.random() > 0.7 ? 'minor' : 'major'
-      progression.push(generateChord(chordRoot, chordType))
+  // Progresión diatónica de `length` acordes a partir de la escala
+  // options: { seventh, degrees } (degrees fuerza una secuencia de grados)
+  const generateDiatonicProgression = (scale, baseNote, length = 4, options = {}) => {
+    const size = options.seventh ? 4 : 3
+    let degrees = options.degrees
+    if (!Array.isArray(degrees) || degrees.length === 0) {
+      degrees = scale.length === 7
+        ? commonProgressions[Math.floor(Math.random() * commonProgressions.length)]
+        : [0, ...Array.from({ length: 3 }, () => Math.floor(Math.random() * scale.length))]
     }
 
-    return progression
+    return Array.from({ length }, (_, i) => {
+      const degree = ((degrees[i % degrees.length] % scale.length) + scale.length) % scale.length
+      return buildDiatonicChord(scale, baseNote, degree, size)
+    })
+  }
+
+  // Generar progresión de acordes (diatónica a la escala, a veces con séptimas)
+  const generateChordProgression = (scale, baseNote, length = 4) => {
+    return generateDiatonicProgression(scale, baseNote, length, { seventh: Math.random() < 0.3 })
   }
 
   return {
     chordTypes,
     generateChord,
-    generateChordProgression
+    buildDiatonicChord,
+    generateDiatonicProgression,
+    generateChordProgression,
+    isChordStep,
+    getStepNotes,
+    mapStepNotes
   }
 }
 
@@ -1,31 +1,41 @@
 import { ref, computed, reactive, readonly, shallowRef, triggerRef } from 'vue'
-import { useScales, useNoteUtils } from './useMusic'
-
-// Helper function for efficient MIDI note clamping
-const clampToMidiRange = (note) => {
-  const MIN_MIDI = 24
-  const MAX_MIDI = 96
-  const OCTAVE = 12
-
-  if (note < MIN_MIDI) {
-    const octavesBelow = Math.ceil((MIN_MIDI - note) / OCTAVE)
-    return note + (octavesBelow * OCTAVE)
-  }
-  if (note > MAX_MIDI) {
-    const octavesAbove = Math.ceil((note - MAX_MIDI) / OCTAVE)
-    return note - (octavesAbove * OCTAVE)
-  }
-  return note
-}
+import { useScales, useNoteUtils, useChords } from './useMusic'
+import {
+  DEFAULT_PATTERN_PROBABILITIES,
+  DEFAULT_STEP_LANE_VALUES,
+  STEP_LANES,
+  favorChordTones,
+  generatePattern,
+  generateStepLanes,
+  mutateStepLanes,
+  sanitizeLaneValue
+} from '../utils/patternGenerators'
+import { analyzeActiveLoops, applyCounterpoint, avoidConflicts } from '../services/counterpointService'
+
+// Rango MIDI útil por defecto para cualquier loop
+const DEFAULT_NOTE_RANGE = { min: 24, max: 96 }
 
 export function useNotesMatrix() {
   // Configuración de la matriz
   const MAX_LOOPS = 16
-  const MAX_STEPS = 32
+  const MAX_STEPS = 512
+
+  // Cada fila tiene exactamente la longitud de su loop (hasta MAX_STEPS)
+  const createRow = (length = 0) => new Array(length).fill(null)
 
   // Matriz principal de notas [loopId][stepIndex] = midiNote | null
   // Using shallowRef for performance as this matrix changes frequently during playback
-  const notesMatrix = shallowRef(Array(MAX_LOOPS).fill(null).map(() => Array(MAX_STEPS).fill(null)))
+  const notesMatrix = shallowRef(Array.from({ length: MAX_LOOPS }, () => createRow()))
+
+  // Pistas por paso paralelas a la matriz: [loopId] = { velocity: [], gate: [], probability: [] }
+  const createLaneRows = (length = 0) => {
+    const lanes = {}
+    STEP_LANES.forEach(lane => {
+      lanes[lane] = new Array(length).fill(DEFAULT_STEP_LANE_VALUES[lane])
+    })
+    return lanes
+  }
+  const laneMatrix = shallowRef(Array.from({ length: MAX_LOOPS }, () => createLaneRows()))
 
   // Metadatos por loop
   const loopMetadata = reactive({})
@@ -40,11 +50,13 @@ export function useNotesMatrix() {
     globalBaseNote: 60,
     activeLoops: new Set(),
     stepCount: 16, // Pasos activos por defecto
-    syncMode: 'all' // 'all', 'selected', 'none'
+    syncMode: 'all', // 'all', 'selected', 'none'
+    favorChordTones: false // notas del acorde en tiempos fuertes (línea de tiempo armónica)
   })
 
   const { getScale } = useScales()
-  const { quantizeToScale } = useNoteUtils()
+  const { quantizeToScale, foldToRange } = useNoteUtils()
+  const { generateDiatonicProgression, mapStepNotes } = useChords()
 
   const isDebugEnabled = () => typeof window !== 'undefined' && Boolean(window.__LOOP_DEBUG)
   const debugLog = (label, payload = {}) => {
@@ -64,6 +76,32 @@ export function useNotesMatrix() {
     matrixState.stepCount = maxLength || 16
   }
 
+  const clampLength = (length, fallback = 16) => {
+    const value = Math.round(Number(length))
+    return Math.max(1, Math.min(MAX_STEPS, Number.isFinite(value) && value > 0 ? value : fallback))
+  }
+
+  // Ajustar el almacenamiento de un loop a su longitud: rellena con silencios o recorta
+  const ensureRowLength = (loopId, length) => {
+    const row = notesMatrix.value[loopId] || (notesMatrix.value[loopId] = createRow())
+    if (row.length < length) {
+      for (let i = row.length; i < length; i++) row.push(null)
+    } else if (row.length > length) {
+      row.length = length
+    }
+
+    const lanes = laneMatrix.value[loopId] || (laneMatrix.value[loopId] = createLaneRows())
+    STEP_LANES.forEach(lane => {
+      const laneRow = lanes[lane] || (lanes[lane] = [])
+      if (laneRow.length < length) {
+        for (let i = laneRow.length; i < length; i++) laneRow.push(DEFAULT_STEP_LANE_VALUES[lane])
+      } else if (laneRow.length > length) {
+        laneRow.length = length
+      }
+    })
+    return row
+  }
+
   const computeLoopDensityMetrics = (loopId) => {
     const meta = loopMetadata[loopId]
     if (!meta) {
@@ -102,6 +140,24 @@ export function useNotesMatrix() {
     return metrics
   }
 
+  // Rango de notas permitido para un loop (por defecto todo el rango MIDI útil)
+  const getLoopNoteRange = (loopId) => {
+    const meta = loopMetadata[loopId]
+    return {
+      min: meta?.noteRangeMin ?? DEFAULT_NOTE_RANGE.min,
+      max: meta?.noteRangeMax ?? DEFAULT_NOTE_RANGE.max
+    }
+  }
+
+  // Plegar una nota dentro del rango del loop sin salir de su escala
+  const foldNoteToLoopRange = (loopId, note) => {
+    if (typeof note !== 'number' && !Array.isArray(note)) return note
+    const meta = loopMetadata[loopId]
+    const scale = getScale(meta?.scale || matrixState.currentScale)
+    const baseNote = meta?.baseNote || matrixState.globalBaseNote
+    return foldToRange(note, getLoopNoteRange(loopId), scale, baseNote)
+  }
+
   const generateRandomNoteForLoop = (loopId) => {
     const meta = loopMetadata[loopId]
     if (!meta) return null
@@ -114,9 +170,7 @@ export function useNotesMatrix() {
 
     const scaleIndex = Math.floor(Math.random() * scaleIntervals.length)
     const octave = Math.floor(Math.random() * octaveRange)
-    const note = clampToMidiRange(baseNote + scaleIntervals[scaleIndex] + (octave * 12))
-
-    return note
+    return foldNoteToLoopRange(loopId, baseNote + scaleIntervals[scaleIndex] + (octave * 12))
   }
 
   const ensureAtLeastOneNote = (loopId) => {
@@ -143,20 +197,48 @@ export function useNotesMatrix() {
 
     loopMetadata[loopId] = {
       isActive: false,
-      length: Math.max(1, Math.min(MAX_STEPS, config.length || 16)),
+      length: clampLength(config.length),
       scale: scaleName, // Store scale NAME not intervals
       baseNote: config.baseNote || matrixState.globalBaseNote,
       density: typeof config.density === 'number' ? config.density : 0.4,
       octaveRange: config.octaveRange || 2,
+      noteRangeMin: DEFAULT_NOTE_RANGE.min,
+      noteRangeMax: DEFAULT_NOTE_RANGE.max,
+      patternProbabilities: { ...DEFAULT_PATTERN_PROBABILITIES },
+      lastPattern: null,
+      // Modo acordes: el loop se llena con una progresión (chordSize 3 = triadas, 4 = séptimas)
+      chordMode: false,
+      chordSize: 3,
+      chordRate: null, // pasos por acorde (null = longitud / 4)
       lastModified: Date.now(),
       ...config,
       scale: scaleName // Ensure scale is always overwritten with the name
     }
+    loopMetadata[loopId].length = clampLength(loopMetadata[loopId].length)
+    ensureRowLength(loopId, loopMetadata[loopId].length)
 
     debugLog('initialize loop', { loopId, metadata: { ...loopMetadata[loopId] } })
     return true
   }
 
+  // Liberar la fila de un loop borrado para que su id pueda reutilizarse limpio
+  const removeLoop = (loopId) => {
+    if (loopId >= MAX_LOOPS) return false
+
+    const rows = [...notesMatrix.value]
+    rows[loopId] = createRow()
+    notesMatrix.value = rows
+    const laneRows = [...laneMatrix.value]
+    laneRows[loopId] = createLaneRows()
+    laneMatrix.value = laneRows
+
+    delete loopMetadata[loopId]
+    matrixState.activeLoops.delete(loopId)
+    refreshMatrixStepCount()
+    debugLog('remove loop', { loopId })
+    return true
+  }
+
   // Activar/desactivar loop
   const setLoopActive = (loopId, active) => {
     if (!loopMetadata[loopId]) initializeLoop(loopId)
@@ -183,7 +265,8 @@ export function useNotesMatrix() {
     }
 
     if (sanitizedUpdates.length !== undefined) {
-      loopMetadata[loopId].length = Math.max(1, Math.min(MAX_STEPS, sanitizedUpdates.length))
+      loopMetadata[loopId].length = clampLength(sanitizedUpdates.length, loopMetadata[loopId].length)
+      ensureRowLength(loopId, loopMetadata[loopId].length)
       delete sanitizedUpdates.length
       refreshMatrixStepCount()
     }
@@ -197,29 +280,87 @@ export function useNotesMatrix() {
     return true
   }
 
+  // Establecer el rango de notas de un loop y plegar sus notas actuales dentro de él
+  const setLoopNoteRange = (loopId, min, max) => {
+    if (!loopMetadata[loopId]) initializeLoop(loopId)
+
+    const low = Math.max(0, Math.min(127, Math.round(Number(min))))
+    const high = Math.max(0, Math.min(127, Math.round(Number(max))))
+    if (Number.isNaN(low) || Number.isNaN(high)) return false
+
+    loopMetadata[loopId].noteRangeMin = Math.min(low, high)
+    loopMetadata[loopId].noteRangeMax = Math.max(low, high)
+
+    const length = loopMetadata[loopId].length
+    for (let i = 0; i < length; i++) {
+      notesMatrix.value[loopId][i] = foldNoteToLoopRange(loopId, notesMatrix.value[loopId][i])
+    }
+
+    updateDensityCache(loopId)
+    debugLog('set loop note range', { loopId, range: getLoopNoteRange(loopId) })
+    return true
+  }
+
   // Obtener notas de un loop específico
   const getLoopNotes = (loopId) => {
     if (loopId >= MAX_LOOPS || !loopMetadata[loopId]) return []
     const length = loopMetadata[loopId].length
-    return notesMatrix.value[loopId].slice(0, length)
+    const row = notesMatrix.value[loopId] || []
+    return Array.from({ length }, (_, i) => row[i] ?? null)
+  }
+
+  // Obtener las pistas por paso (velocidad, gate, probabilidad) de un loop
+  const getLoopLanes = (loopId) => {
+    const lanes = {}
+    const length = loopMetadata[loopId]?.length ?? 0
+    STEP_LANES.forEach(lane => {
+      const laneRow = laneMatrix.value[loopId]?.[lane] || []
+      lanes[lane] = Array.from({ length }, (_, i) => laneRow[i] ?? DEFAULT_STEP_LANE_VALUES[lane])
+    })
+    return lanes
+  }
+
+  // Reescribir las pistas indicadas; las omitidas conservan sus valores por índice
+  const writeLaneRows = (loopId, length, lanes = {}) => {
+    const current = laneMatrix.value[loopId] || createLaneRows()
+    const next = {}
+    STEP_LANES.forEach(lane => {
+      const source = Array.isArray(lanes?.[lane]) ? lanes[lane] : (current[lane] || [])
+      next[lane] = Array.from({ length }, (_, i) => sanitizeLaneValue(lane, source[i]))
+    })
+    laneMatrix.value[loopId] = next
+  }
+
+  const setLoopLanes = (loopId, lanes) => {
+    if (loopId >= MAX_LOOPS || !lanes || typeof lanes !== 'object') return false
+    if (!loopMetadata[loopId]) initializeLoop(loopId)
+
+    writeLaneRows(loopId, loopMetadata[loopId].length, lanes)
+    debugLog('set loop lanes', { loopId })
+    return true
   }
 
-  // Establecer notas de un loop
-  const setLoopNotes = (loopId, notes) => {
+  // Establecer el valor de una pista en un paso
+  const setStepLane = (loopId, stepIndex, lane, value) => {
+    if (loopId >= MAX_LOOPS || !STEP_LANES.includes(lane) || !loopMetadata[loopId]) return false
+    if (stepIndex < 0 || stepIndex >= loopMetadata[loopId].length) return false
+
+    laneMatrix.value[loopId][lane][stepIndex] = sanitizeLaneValue(lane, value)
+    return true
+  }
+
+  // Establecer notas de un loop (y opcionalmente sus pistas por paso)
+  const setLoopNotes = (loopId, notes, lanes = null) => {
     if (loopId >= MAX_LOOPS || !Array.isArray(notes)) return false
 
     if (!loopMetadata[loopId]) initializeLoop(loopId)
 
-    const targetLength = Math.max(1, Math.min(MAX_STEPS, notes.length || loopMetadata[loopId].length || 16))
+    const targetLength = clampLength(notes.length, loopMetadata[loopId].length)
     loopMetadata[loopId].length = targetLength
 
-    notesMatrix.value[loopId].fill(null)
-
-    notes.forEach((note, index) => {
-      if (index < MAX_STEPS) {
-        notesMatrix.value[loopId][index] = note
-      }
-    })
+    notesMatrix.value[loopId] = Array.from({ length: targetLength }, (_, index) =>
+      foldNoteToLoopRange(loopId, notes[index] ?? null))
+    writeLaneRows(loopId, targetLength, lanes)
 
     const metrics = updateDensityCache(loopId)
     ensureAtLeastOneNote(loopId)
@@ -230,9 +371,12 @@ export function useNotesMatrix() {
 
   // Establecer una nota específica
   const setLoopNote = (loopId, stepIndex, note) => {
-    if (loopId >= MAX_LOOPS || stepIndex >= MAX_STEPS) return false
+    if (loopId >= MAX_LOOPS || stepIndex < 0 || stepIndex >= MAX_STEPS) return false
+    if (!loopMetadata[loopId]) initializeLoop(loopId)
+    // Solo se escriben pasos dentro de la longitud del loop
+    if (stepIndex >= loopMetadata[loopId].length) return false
 
-    notesMatrix.value[loopId][stepIndex] = note
+    notesMatrix.value[loopId][stepIndex] = foldNoteToLoopRange(loopId, note)
     const metrics = updateDensityCache(loopId)
     ensureAtLeastOneNote(loopId)
     debugLog('set loop note', { loopId, stepIndex, note, metrics })
@@ -249,24 +393,65 @@ export function useNotesMatrix() {
 
   // Obtener una nota específica
   const getNote = (loopId, stepIndex) => {
-    if (loopId >= MAX_LOOPS || stepIndex >= MAX_STEPS) return null
-    return notesMatrix.value[loopId][stepIndex]
+    if (loopId >= MAX_LOOPS || stepIndex < 0 || stepIndex >= MAX_STEPS) return null
+    return notesMatrix.value[loopId]?.[stepIndex] ?? null
   }
 
-  // Generar notas aleatorias para un loop
-  const generateLoopNotes = (loopId, config = {}) => {
-    if (!loopMetadata[loopId]) initializeLoop(loopId, config)
+  // Obtener un paso completo: nota y valores de sus pistas
+  const getStep = (loopId, stepIndex) => {
+    const lanes = laneMatrix.value[loopId]
+    return {
+      note: getNote(loopId, stepIndex),
+      velocity: lanes?.velocity[stepIndex] ?? DEFAULT_STEP_LANE_VALUES.velocity,
+      gate: lanes?.gate[stepIndex] ?? DEFAULT_STEP_LANE_VALUES.gate,
+      probability: lanes?.probability[stepIndex] ?? DEFAULT_STEP_LANE_VALUES.probability
+    }
+  }
 
+  // Voces de los demás loops activos, usadas por el contrapunto
+  const getCounterpointVoices = (loopId) => {
+    const voices = []
+    matrixState.activeLoops.forEach(otherId => {
+      if (Number(otherId) === Number(loopId) || !loopMetadata[otherId]) return
+      voices.push({ id: otherId, notes: getLoopNotes(otherId), length: loopMetadata[otherId].length })
+    })
+    return voices
+  }
+
+  const getCounterpointOptions = (loopId) => {
     const meta = loopMetadata[loopId]
+    return {
+      scale: getScale(meta?.scale || matrixState.currentScale),
+      baseNote: meta?.baseNote || matrixState.globalBaseNote,
+      noteRange: getLoopNoteRange(loopId)
+    }
+  }
 
-    // Always use scale NAME and resolve to intervals
-    const scaleName = typeof config.scale === 'string' ? config.scale : meta.scale
-    const scale = getScale(scaleName)
-    const baseNote = config.baseNote || meta.baseNote
-    const length = Math.max(1, Math.min(MAX_STEPS, config.length || meta.length || 16))
-    const density = typeof config.density === 'number' ? config.density : (meta.density ?? 0.4)
-    const octaveRange = config.octaveRange || meta.octaveRange
+  // Re-voicear las notas de un loop que choquen con los demás loops activos
+  // `steps` (Set opcional) limita el ajuste a esos índices
+  const applyCounterpointToNotes = (loopId, notes, steps = null) => {
+    const voices = getCounterpointVoices(loopId)
+    if (voices.length === 0) return notes
+
+    const folded = notes.map(note => foldNoteToLoopRange(loopId, note))
+    const adjusted = applyCounterpoint(folded, voices, { ...getCounterpointOptions(loopId), steps })
+    debugLog('counterpoint applied', { loopId, voices: voices.length })
+    return adjusted
+  }
+
+  // Ajustar una única nota propuesta para un paso
+  const resolveCounterpointNote = (loopId, stepIndex, note) => {
+    if (typeof note !== 'number') return note
+    const voices = getCounterpointVoices(loopId)
+    if (voices.length === 0) return note
+
+    const length = loopMetadata[loopId]?.length || 16
+    const occupied = analyzeActiveLoops(voices, stepIndex, length)
+    return avoidConflicts(foldNoteToLoopRange(loopId, note), occupied, getCounterpointOptions(loopId))
+  }
 
+  // Generación aleatoria clásica: posiciones mezcladas y notas al azar de la escala
+  const generateRandomNotes = (loopId, scale, baseNote, length, density, octaveRange) => {
     // Calculate how many notes should be placed
     const targetNoteCount = Math.max(1, Math.round(length * density))
 
@@ -283,24 +468,97 @@ export function useNotesMatrix() {
     const notePositions = new Set(availablePositions.slice(0, targetNoteCount))
 
     // Generate the notes array with distributed positions
-    const newNotes = Array(length).fill(null).map((_, idx) => {
+    return Array(length).fill(null).map((_, idx) => {
       if (!notePositions.has(idx)) return null
 
       const scaleIndex = Math.floor(Math.random() * scale.length)
       const octave = Math.floor(Math.random() * octaveRange)
       const note = baseNote + scale[scaleIndex] + (octave * 12)
 
-      // Asegurar rango MIDI válido manteniendo la nota en escala
-      const finalNote = clampToMidiRange(note)
+      // Asegurar el rango del loop manteniendo la nota en escala
+      return foldNoteToLoopRange(loopId, note)
+    })
+  }
 
-      return finalNote
+  // Modo acordes: un acorde diatónico al inicio de cada segmento de `chordRate` pasos
+  const generateChordNotes = (loopId, scale, baseNote, length, config = {}) => {
+    const meta = loopMetadata[loopId]
+    const chordRate = Math.max(1, Math.round(config.chordRate || meta.chordRate || Math.max(4, Math.floor(length / 4))))
+    const chordCount = Math.max(1, Math.ceil(length / chordRate))
+    const progression = generateDiatonicProgression(scale, baseNote, chordCount, {
+      seventh: (config.chordSize || meta.chordSize) === 4,
+      degrees: config.degrees
     })
 
+    const notes = new Array(length).fill(null)
+    const lanes = { velocity: [], gate: [], probability: [] }
+    for (let i = 0; i < length; i++) {
+      const isChordStart = i % chordRate === 0
+      if (isChordStart) {
+        notes[i] = foldNoteToLoopRange(loopId, progression[Math.floor(i / chordRate)])
+      }
+      // Acordes sostenidos durante todo su segmento
+      lanes.velocity.push(isChordStart ? 0.8 : DEFAULT_STEP_LANE_VALUES.velocity)
+      lanes.gate.push(isChordStart ? Math.min(chordRate, length - i) : DEFAULT_STEP_LANE_VALUES.gate)
+      lanes.probability.push(DEFAULT_STEP_LANE_VALUES.probability)
+    }
+
+    return { notes, lanes }
+  }
+
+  // Generar notas aleatorias para un loop
+  const generateLoopNotes = (loopId, config = {}) => {
+    if (!loopMetadata[loopId]) initializeLoop(loopId, config)
+
+    const meta = loopMetadata[loopId]
+
+    // Always use scale NAME and resolve to intervals
+    const scaleName = typeof config.scale === 'string' ? config.scale : meta.scale
+    const scale = getScale(scaleName)
+    const baseNote = config.baseNote || meta.baseNote
+    const length = clampLength(config.length, meta.length || 16)
+    const density = typeof config.density === 'number' ? config.density : (meta.density ?? 0.4)
+    const octaveRange = config.octaveRange || meta.octaveRange
+
+    let newNotes
+    let chordLanes = null
+    if (config.chordMode ?? meta.chordMode) {
+      const chords = generateChordNotes(loopId, scale, baseNote, length, config)
+      newNotes = chords.notes
+      chordLanes = chords.lanes
+      meta.lastPattern = 'chords'
+    } else if (config.pattern) {
+      // Generador estructurado seleccionado (euclidiano, arpegio, paseo, etc.)
+      newNotes = generatePattern(config.pattern, {
+        length,
+        scale,
+        baseNote,
+        density,
+        octaveRange,
+        noteRange: getLoopNoteRange(loopId),
+        options: config.patternOptions || {}
+      }).map(note => foldNoteToLoopRange(loopId, note))
+      meta.lastPattern = config.pattern
+    } else {
+      newNotes = generateRandomNotes(loopId, scale, baseNote, length, density, octaveRange)
+      meta.lastPattern = 'random'
+    }
+
+    // Con progresión global, los tiempos fuertes caen en notas del acorde
+    if (!chordLanes && (config.favorChordTones ?? matrixState.favorChordTones)) {
+      newNotes = favorChordTones(newNotes, { scale, baseNote, noteRange: getLoopNoteRange(loopId) })
+    }
+
+    // Evitar choques con los demás loops activos
+    if (config.counterpoint !== false) {
+      newNotes = applyCounterpointToNotes(loopId, newNotes)
+    }
+
     // Ensure metadata stores scale NAME
     meta.scale = scaleName
     meta.length = length
     meta.density = density
-    setLoopNotes(loopId, newNotes)
+    setLoopNotes(loopId, newNotes, config.lanes || chordLanes || generateStepLanes(newNotes, config.laneOptions))
     debugLog('generate loop notes', { loopId, length, density })
     return newNotes
   }
@@ -309,7 +567,7 @@ export function useNotesMatrix() {
     if (!loopMetadata[loopId]) initializeLoop(loopId)
 
     const meta = loopMetadata[loopId]
-    const targetLength = Math.max(1, Math.min(MAX_STEPS, Math.round(newLength)))
+    const targetLength = clampLength(newLength, meta.length)
     const currentNotes = getLoopNotes(loopId)
     const density = options.density ?? computeLoopDensityMetrics(loopId).density ?? meta.density ?? 0.4
 
@@ -345,7 +603,7 @@ export function useNotesMatrix() {
     for (let i = 0; i < length; i++) {
       const currentNote = notesMatrix.value[loopId][i]
       if (currentNote !== null) {
-        const quantized = quantizeToScale(currentNote, scale, baseNote)
+        const quantized = quantizeToScale(currentNote, scale, baseNote, getLoopNoteRange(loopId))
         notesMatrix.value[loopId][i] = quantized
         if (currentNote !== quantized) quantizedCount++
       }
@@ -367,6 +625,10 @@ export function useNotesMatrix() {
     })
   }
 
+  const setFavorChordTones = (enabled) => {
+    matrixState.favorChordTones = Boolean(enabled)
+  }
+
   // Setter for global scale
   const setGlobalScale = (scaleName) => {
     if (typeof scaleName !== 'string') {
@@ -377,6 +639,14 @@ export function useNotesMatrix() {
     return true
   }
 
+  // Setter for global base note (tónica de la tonalidad)
+  const setGlobalBaseNote = (note) => {
+    const value = Math.round(Number(note))
+    if (!Number.isFinite(value)) return false
+    matrixState.globalBaseNote = Math.max(0, Math.min(127, value))
+    return true
+  }
+
   // Operaciones de matriz eficientes para evolución
 
   // Transponer un loop
@@ -393,11 +663,9 @@ export function useNotesMatrix() {
     for (let i = 0; i < length; i++) {
       const note = notesMatrix.value[loopId][i]
       if (note !== null) {
-        const newNote = note + semitones
-        const clampedNote = Math.max(24, Math.min(96, newNote))
-        // Quantize to scale after transposition
-        const quantizedNote = quantizeToScale(clampedNote, scale, baseNote)
-        notesMatrix.value[loopId][i] = quantizedNote
+        // Quantize each tone to scale after transposition, folding into the loop range
+        notesMatrix.value[loopId][i] = mapStepNotes(note, tone =>
+          quantizeToScale(tone + semitones, scale, baseNote, getLoopNoteRange(loopId)))
       }
     }
 
@@ -417,13 +685,20 @@ export function useNotesMatrix() {
     const notes = getLoopNotes(loopId)
     if (notes.length === 0) return false
 
-    const rotated = Array.from({ length }, (_, index) => {
+    const rotate = (values) => Array.from({ length }, (_, index) => {
       const originalIndex = (index - steps) % length
       const safeIndex = originalIndex < 0 ? originalIndex + length : originalIndex
-      return notes[safeIndex]
+      return values[safeIndex]
     })
 
-    setLoopNotes(loopId, rotated)
+    // Las pistas por paso rotan junto con las notas
+    const lanes = getLoopLanes(loopId)
+    const rotatedLanes = {}
+    STEP_LANES.forEach(lane => {
+      rotatedLanes[lane] = rotate(lanes[lane])
+    })
+
+    setLoopNotes(loopId, rotate(notes), rotatedLanes)
     debugLog('rotate loop', { loopId, steps })
     return true
   }
@@ -434,7 +709,12 @@ export function useNotesMatrix() {
 
     const notes = getLoopNotes(loopId)
     const reversedNotes = [...notes].reverse()
-    setLoopNotes(loopId, reversedNotes)
+    const lanes = getLoopLanes(loopId)
+    const reversedLanes = {}
+    STEP_LANES.forEach(lane => {
+      reversedLanes[lane] = [...lanes[lane]].reverse()
+    })
+    setLoopNotes(loopId, reversedNotes, reversedLanes)
     debugLog('invert loop', { loopId })
     return true
   }
@@ -454,13 +734,14 @@ export function useNotesMatrix() {
       const randomIndex = Math.floor(Math.random() * length)
       const currentNote = notesMatrix.value[loopId][randomIndex]
 
-      if (currentNote !== null) {
+      // Los acordes conservan su voicing; solo mutan las notas simples
+      if (typeof currentNote === 'number') {
         // Cambiar a una nota cercana en la escala
         const scaleIndex = Math.floor(Math.random() * scale.length)
         const octave = Math.floor(Math.random() * meta.octaveRange)
         const newNote = meta.baseNote + scale[scaleIndex] + (octave * 12)
-        const clampedNote = Math.max(24, Math.min(96, newNote))
-        notesMatrix.value[loopId][randomIndex] = clampedNote
+        // Igual que evolveNotes: la nota mutada evita chocar con los demás loops activos
+        notesMatrix.value[loopId][randomIndex] = resolveCounterpointNote(loopId, randomIndex, newNote)
       }
     }
 
@@ -470,13 +751,23 @@ export function useNotesMatrix() {
     return true
   }
 
+  // Deriva de velocidades y probabilidades para la evolución
+  const mutateLoopLanes = (loopId, intensity = 0.3) => {
+    if (!loopMetadata[loopId]) return false
+
+    writeLaneRows(loopId, loopMetadata[loopId].length,
+      mutateStepLanes(getLoopLanes(loopId), getLoopNotes(loopId), intensity))
+    debugLog('mutate loop lanes', { loopId, intensity })
+    return true
+  }
+
   // Copiar notas entre loops
   const copyLoop = (sourceLoopId, targetLoopId) => {
     if (sourceLoopId >= MAX_LOOPS || targetLoopId >= MAX_LOOPS) return false
     if (!loopMetadata[sourceLoopId]) return false
 
     const sourceNotes = getLoopNotes(sourceLoopId)
-    setLoopNotes(targetLoopId, sourceNotes)
+    setLoopNotes(targetLoopId, sourceNotes, getLoopLanes(sourceLoopId))
 
     // Copiar metadatos también
     if (!loopMetadata[targetLoopId]) initializeLoop(targetLoopId)
@@ -516,9 +807,8 @@ export function useNotesMatrix() {
   // Inicializar matriz
   const initializeMatrix = () => {
     // Inicializar la matriz con arrays vacíos
-    for (let i = 0; i < MAX_LOOPS; i++) {
-      notesMatrix.value[i] = new Array(MAX_STEPS).fill(null)
-    }
+    notesMatrix.value = Array.from({ length: MAX_LOOPS }, () => createRow())
+    laneMatrix.value = Array.from({ length: MAX_LOOPS }, () => createLaneRows())
 
     // Inicializar metadata vacío
     Object.keys(loopMetadata).forEach(key => {
@@ -536,7 +826,8 @@ export function useNotesMatrix() {
 
   // Limpiar matriz completa
   const clearMatrix = () => {
-    notesMatrix.value.forEach(loop => loop.fill(null))
+    notesMatrix.value = Array.from({ length: MAX_LOOPS }, () => createRow())
+    laneMatrix.value = Array.from({ length: MAX_LOOPS }, () => createLaneRows())
     Object.keys(loopMetadata).forEach(key => delete loopMetadata[key])
     matrixState.activeLoops.clear()
     matrixState.stepCount = 16
@@ -545,9 +836,19 @@ export function useNotesMatrix() {
 
   // Exportar/importar matriz
   const exportMatrix = () => {
+    // Copias recortadas a la longitud de cada loop para que el resultado sea serializable
+    const metadata = {}
+    Object.entries(loopMetadata).forEach(([loopId, meta]) => {
+      metadata[loopId] = { ...meta }
+    })
+
     return {
-      notes: notesMatrix.value,
-      metadata: { ...loopMetadata },
+      notes: notesMatrix.value.map((row, loopId) => {
+        const length = loopMetadata[loopId]?.length ?? row.length
+        return Array.from({ length }, (_, i) => row[i] ?? null)
+      }),
+      lanes: notesMatrix.value.map((_, loopId) => getLoopLanes(loopId)),
+      metadata,
       state: { ...matrixState, activeLoops: Array.from(matrixState.activeLoops) }
     }
   }
@@ -556,7 +857,22 @@ export function useNotesMatrix() {
     if (!data || !data.notes || !data.metadata) return false
 
     try {
-      notesMatrix.value = data.notes
+      // Filas de longitud variable: las de presets antiguos (32 pasos fijos) se ajustan abajo
+      notesMatrix.value = Array.from({ length: MAX_LOOPS }, (_, loopId) => {
+        const row = data.notes[loopId]
+        return Array.isArray(row) ? row.slice(0, MAX_STEPS).map(note => note ?? null) : createRow()
+      })
+      // Exportaciones sin pistas por paso usan los valores por defecto
+      laneMatrix.value = Array.from({ length: MAX_LOOPS }, (_, loopId) => {
+        const source = data.lanes?.[loopId] || {}
+        const lanes = {}
+        STEP_LANES.forEach(lane => {
+          lanes[lane] = Array.isArray(source[lane])
+            ? source[lane].slice(0, MAX_STEPS).map(value => sanitizeLaneValue(lane, value))
+            : []
+        })
+        return lanes
+      })
       Object.keys(loopMetadata).forEach(key => delete loopMetadata[key])
 
       // Apply metadata with fallback to ensure scale is always a string name
@@ -568,7 +884,9 @@ export function useNotesMatrix() {
           cleanMeta.scale = 'major'
         }
 
+        cleanMeta.length = clampLength(cleanMeta.length)
         loopMetadata[loopId] = cleanMeta
+        ensureRowLength(Number(loopId), cleanMeta.length)
       })
 
       // Handle activeLoops - fix for old presets where Set was serialized as {}
@@ -630,6 +948,7 @@ export function useNotesMatrix() {
       console.log(`  Octave Range: ${meta.octaveRange}`)
       console.log(`  Notes: [${notes.map((n, i) => {
         if (n === null) return `${i}:--`
+        if (Array.isArray(n)) return `${i}:[${n.join('/')}]`
         // Check if note is in scale
         const noteInScale = scaleIntervals.some(interval => {
           const expectedNote = meta.baseNote + interval
@@ -648,6 +967,7 @@ export function useNotesMatrix() {
 
   return {
     // Estado
+    MAX_LOOPS,
     notesMatrix: readonly(notesMatrix),
     loopMetadata: readonly(loopMetadata),
     matrixState: readonly(matrixState),
@@ -655,13 +975,24 @@ export function useNotesMatrix() {
 
     // Gestión de loops
     initializeLoop,
+    removeLoop,
     setLoopActive,
     updateLoopMetadata,
+    getLoopNoteRange,
+    setLoopNoteRange,
+    foldNoteToLoopRange,
     getLoopNotes,
     setLoopNotes,
     setLoopNote,
     clearLoopNote,
     getNote,
+    getStep,
+
+    // Pistas por paso
+    getLoopLanes,
+    setLoopLanes,
+    setStepLane,
+    mutateLoopLanes,
 
     getLoopNoteDensity: (loopId) => {
       if (loopId >= MAX_LOOPS || !loopMetadata[loopId]) return 0
@@ -681,10 +1012,16 @@ export function useNotesMatrix() {
     generateLoopNotes,
     resizeLoop,
 
+    // Contrapunto entre loops
+    applyCounterpointToNotes,
+    resolveCounterpointNote,
+
     // Cuantización
     quantizeLoop,
     quantizeAllActiveLoops,
     setGlobalScale,
+    setGlobalBaseNote,
+    setFavorChordTones,
 
     // Operaciones evolutivas
     transposeLoop,
@@ -0,0 +1,22 @@
+// Perfil del controlador MIDI: las asignaciones MIDI-learn dependen del hardware,
+// no de la canción, así que se guardan aparte de los presets
+const STORAGE_KEY = 'loopera_controller_profile'
+
+const hasStorage = () => typeof localStorage !== 'undefined'
+
+export const loadControllerProfile = () => {
+  if (!hasStorage()) return { bindings: [] }
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null')
+    return { bindings: Array.isArray(stored?.bindings) ? stored.bindings : [] }
+  } catch (error) {
+    console.warn('Perfil de controlador ilegible, se ignora:', error)
+    return { bindings: [] }
+  }
+}
+
+export const saveControllerProfile = ({ bindings = [] } = {}) => {
+  if (!hasStorage()) return false
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ bindings, updatedAt: new Date().toISOString() }))
+  return true
+}
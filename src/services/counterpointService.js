@@ -0,0 +1,132 @@
+/**
+ * Servicio de contrapunto simple entre loops.
+ * Detecta choques (unísono, segunda menor, trítono contra el bajo) entre la nota
+ * propuesta para un paso y las notas que suenan en los demás loops activos,
+ * y propone una re-voz o desplazamiento dentro de la escala.
+ *
+ * Una "voz" es { id, notes, length } donde notes[i] es midiNote | midiNote[] (acorde) | null.
+ * Los acordes propios no se re-voicean: solo se ajustan las notas simples.
+ */
+
+const MIN_MIDI = 24
+const MAX_MIDI = 96
+
+const intervalClass = (a, b) => ((Math.abs(a - b) % 12) + 12) % 12
+
+/**
+ * Notas de las otras voces que suenan a la vez que el paso `stepIndex` de un loop
+ * de longitud `loopLength`, recorriendo el tiempo desde el inicio común: el paso
+ * suena en t = stepIndex + k * loopLength y la otra voz toca entonces su paso t mod
+ * su longitud. Se mira una vuelta de la voz más larga: si una longitud divide a la
+ * otra eso cubre el ciclo completo (mcm); si no, es una muestra de él, porque exigir
+ * que no haya choques en todo el mcm (p. ej. 12 contra 16) deja casi sin candidatos.
+ */
+export const getOccupiedNotes = (otherVoices, stepIndex, loopLength) => {
+  const occupied = []
+  const length = Math.max(1, loopLength)
+
+  otherVoices.forEach(voice => {
+    const voiceLength = voice.length || voice.notes?.length || 0
+    if (!voiceLength || !Array.isArray(voice.notes)) return
+
+    const window = Math.max(length, voiceLength)
+    for (let time = stepIndex % length; time < window; time += length) {
+      const note = voice.notes[time % voiceLength]
+      // Los pasos de acorde ocupan todas sus notas
+      if (Array.isArray(note)) {
+        note.forEach(tone => { if (typeof tone === 'number') occupied.push(tone) })
+      } else if (typeof note === 'number') {
+        occupied.push(note)
+      }
+    }
+  })
+
+  return occupied
+}
+
+// Analizar todas las voces activas en un paso: notas ocupadas y bajo sonando
+export const analyzeActiveLoops = (otherVoices, stepIndex, loopLength) => {
+  const notes = getOccupiedNotes(otherVoices, stepIndex, loopLength)
+  return {
+    notes,
+    bass: notes.length > 0 ? Math.min(...notes) : null
+  }
+}
+
+/**
+ * Devuelve el tipo de choque de una nota contra las notas ocupadas o null si no hay.
+ */
+export const findConflict = (note, occupied) => {
+  if (typeof note !== 'number' || occupied.notes.length === 0) return null
+
+  for (const other of occupied.notes) {
+    if (other === note) return 'unison'
+    if (intervalClass(note, other) === 1 || intervalClass(note, other) === 11) return 'minorSecond'
+  }
+
+  if (occupied.bass !== null && note > occupied.bass && intervalClass(note, occupied.bass) === 6) {
+    return 'tritone'
+  }
+
+  return null
+}
+
+// Candidatos de la escala ordenados por cercanía: primero la misma clase de altura en otra octava
+const buildCandidates = (proposedNote, { scale, baseNote = 60, noteRange = {} }) => {
+  const min = Math.max(MIN_MIDI, noteRange.min ?? MIN_MIDI)
+  const max = Math.min(MAX_MIDI, noteRange.max ?? MAX_MIDI)
+  const basePitchClass = ((baseNote % 12) + 12) % 12
+
+  const candidates = []
+  for (let note = min; note <= max; note++) {
+    if (note === proposedNote) continue
+    const relative = ((note - basePitchClass) % 12 + 12) % 12
+    if (scale.includes(relative)) candidates.push(note)
+  }
+
+  const isOctave = (note) => intervalClass(note, proposedNote) === 0
+  return candidates.sort((a, b) => {
+    if (isOctave(a) !== isOctave(b)) return isOctave(a) ? -1 : 1
+    return Math.abs(a - proposedNote) - Math.abs(b - proposedNote)
+  })
+}
+
+/**
+ * Ajustar una nota propuesta si choca con las notas ocupadas.
+ * Prueba re-voces de octava y luego grados cercanos de la escala; si nada
+ * funciona devuelve la nota original.
+ */
+export const avoidConflicts = (proposedNote, occupied, options) => {
+  if (!findConflict(proposedNote, occupied)) return proposedNote
+
+  const maxDistance = options.maxDistance ?? 12
+  const candidate = buildCandidates(proposedNote, options)
+    .find(note => Math.abs(note - proposedNote) <= maxDistance && !findConflict(note, occupied))
+
+  return candidate ?? proposedNote
+}
+
+/**
+ * Aplicar contrapunto a un array de notas de un loop contra las otras voces.
+ * options.steps limita el ajuste a un conjunto de índices (p. ej. notas mutadas).
+ */
+export const applyCounterpoint = (notes, otherVoices, options) => {
+  if (!Array.isArray(notes) || otherVoices.length === 0) return notes
+
+  const loopLength = notes.length
+  return notes.map((note, stepIndex) => {
+    if (typeof note !== 'number') return note
+    if (options.steps && !options.steps.has(stepIndex)) return note
+
+    const occupied = analyzeActiveLoops(otherVoices, stepIndex, loopLength)
+    return avoidConflicts(note, occupied, options)
+  })
+}
+
+// Verificar que un loop no tenga choques con las otras voces
+export const validateCounterpoint = (notes, otherVoices) => {
+  return notes.every((note, stepIndex) => {
+    const occupied = analyzeActiveLoops(otherVoices, stepIndex, notes.length)
+    return findConflict(note, occupied) === null
+  })
+}
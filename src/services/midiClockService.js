@@ -0,0 +1,127 @@
+/**
+ * Reloj MIDI (24 PPQN) y mensajes de transporte en tiempo real.
+ * La fuente de reloj usa la misma interfaz que una entrada MIDI (ver midiInputService):
+ * eventos 'midimessage' con `data` y `timeStamp` (ms de performance.now()).
+ */
+
+export const MIDI_CLOCK_MESSAGES = {
+  clock: 0xF8,
+  start: 0xFA,
+  continue: 0xFB,
+  stop: 0xFC,
+  songPosition: 0xF2
+}
+
+export const CLOCKS_PER_QUARTER = 24
+// Un pulso de la app es una semicorchea: 6 ticks de reloj (y 1 "MIDI beat" del song position)
+export const CLOCKS_PER_STEP = 6
+
+const MESSAGE_TYPES = Object.fromEntries(Object.entries(MIDI_CLOCK_MESSAGES).map(([type, status]) => [status, type]))
+
+// Traducir bytes a { type, position } (position solo en songPosition, en semicorcheas); null si no es de reloj
+export const parseClockMessage = (data) => {
+  const [status, lsb = 0, msb = 0] = data || []
+  const type = MESSAGE_TYPES[status]
+  if (!type) return null
+  return type === 'songPosition' ? { type, position: (msb << 7) | lsb } : { type }
+}
+
+export const songPositionMessage = (sixteenths) => {
+  const position = Math.max(0, Math.min(0x3FFF, Math.round(sixteenths)))
+  return [MIDI_CLOCK_MESSAGES.songPosition, position & 0x7F, (position >> 7) & 0x7F]
+}
+
+/**
+ * Suavizado de jitter: sigue el periodo del reloj con una media exponencial y
+ * corrige la fase poco a poco; si el error supera `resyncRatio` periodos, se resincroniza.
+ * tick(timestamp) devuelve { time, period, bpm } (time suavizado en ms; period/bpm null al principio).
+ */
+export const createClockSmoother = ({ smoothing = 0.1, resyncRatio = 0.5, maxIntervalMs = 500 } = {}) => {
+  let lastTimestamp = null
+  let period = null
+  let predicted = null
+
+  const reset = () => {
+    lastTimestamp = null
+    period = null
+    predicted = null
+  }
+
+  const tick = (timestamp) => {
+    const interval = lastTimestamp === null ? null : timestamp - lastTimestamp
+    lastTimestamp = timestamp
+
+    // Primer tick o hueco largo (reloj parado): empezar de nuevo desde este tick
+    if (interval === null || interval <= 0 || interval > maxIntervalMs) {
+      period = null
+      predicted = timestamp
+      return { time: timestamp, period: null, bpm: null }
+    }
+
+    if (period === null) {
+      period = interval
+      predicted = timestamp
+    } else {
+      period += smoothing * (interval - period)
+      const expected = predicted + period
+      const error = timestamp - expected
+      predicted = Math.abs(error) > period * resyncRatio ? timestamp : expected + smoothing * error
+    }
+
+    return { time: predicted, period, bpm: 60000 / (period * CLOCKS_PER_QUARTER) }
+  }
+
+  return { tick, reset }
+}
+
+/**
+ * Generador de reloj sintético sin temporizadores: cada advance() emite ticks con
+ * marcas de tiempo calculadas (más un jitter opcional), para conducir el seguidor offline.
+ */
+export const createSyntheticClock = ({
+  id = 'synthetic-clock',
+  name = 'Reloj sintético',
+  bpm = 120,
+  startTime = 0,
+  jitterMs = 0,
+  random = Math.random
+} = {}) => {
+  const listeners = new Set()
+  let tempo = bpm
+  let time = startTime
+
+  const emit = (data, timeStamp = time) => {
+    const event = { data: Uint8Array.from(data), timeStamp }
+    listeners.forEach(listener => listener(event))
+  }
+
+  return {
+    id,
+    name,
+    addEventListener(type, listener) {
+      if (type === 'midimessage') listeners.add(listener)
+    },
+    removeEventListener(type, listener) {
+      if (type === 'midimessage') listeners.delete(listener)
+    },
+    get time() {
+      return time
+    },
+    setTempo(value) {
+      tempo = value
+    },
+    start: () => emit([MIDI_CLOCK_MESSAGES.start]),
+    continue: () => emit([MIDI_CLOCK_MESSAGES.continue]),
+    stop: () => emit([MIDI_CLOCK_MESSAGES.stop]),
+    songPosition: (sixteenths) => emit(songPositionMessage(sixteenths)),
+    // Emitir `clocks` ticks; el primero cae en el instante actual
+    advance(clocks = 1) {
+      for (let i = 0; i < clocks; i++) {
+        const jitter = jitterMs ? (random() * 2 - 1) * jitterMs : 0
+        emit([MIDI_CLOCK_MESSAGES.clock], time + jitter)
+        time += 60000 / (tempo * CLOCKS_PER_QUARTER)
+      }
+      return time
+    }
+  }
+}
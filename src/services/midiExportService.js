@@ -0,0 +1,71 @@
+import { encodeMidiFile, DEFAULT_PPQ } from '../utils/midiFile'
+import { useChords } from '../composables/useMusic'
+
+// Programas General MIDI (base 0) orientativos para cada modelo de síntesis
+export const SYNTH_MODEL_PROGRAMS = {
+  PolySynth: 88, // Pad 1 (new age)
+  Synth: 80, // Lead 1 (square)
+  AMSynth: 89, // Pad 2 (warm)
+  FMSynth: 4, // Electric Piano 1
+  PluckSynth: 25, // Acoustic Guitar (steel)
+  MembraneSynth: 117 // Melodic Tom
+}
+
+// Canal de la pista n, saltando el canal 10 (percusión en General MIDI)
+const channelForTrack = (index) => {
+  const channel = index % 15
+  return channel >= 9 ? channel + 1 : channel
+}
+
+// Acortar notas que se solapan con la siguiente de la misma altura
+const trimOverlaps = (notes) => {
+  const lastByPitch = new Map()
+  const sorted = [...notes].sort((a, b) => a.tick - b.tick)
+  sorted.forEach(note => {
+    const previous = lastByPitch.get(note.note)
+    if (previous && previous.tick + previous.duration > note.tick) {
+      previous.duration = Math.max(1, note.tick - previous.tick)
+    }
+    lastByPitch.set(note.note, note)
+  })
+  return sorted
+}
+
+/**
+ * Construir un archivo MIDI a partir de los pasos resueltos de cada loop.
+ * loops: [{ id, synthModel, volume, pan }] (una pista por loop, en este orden)
+ * events: [{ loopId, position, durationSteps, note, velocity }], posición y duración en semicorcheas.
+ * Devuelve un Blob 'audio/midi'.
+ */
+export const buildMidiFile = ({ bpm, loops, events, name = 'Loop Synth Machine', ppq = DEFAULT_PPQ }) => {
+  const { getStepNotes } = useChords()
+  const ticksPerStep = ppq / 4
+
+  const tracks = loops.map((loop, index) => {
+    const notes = []
+    events
+      .filter(event => event.loopId === loop.id)
+      .forEach(event => {
+        // Los acordes se escriben como varias notas simultáneas
+        getStepNotes(event.note).forEach(note => {
+          notes.push({
+            tick: event.position * ticksPerStep,
+            duration: event.durationSteps * ticksPerStep,
+            note,
+            velocity: event.velocity
+          })
+        })
+      })
+
+    return {
+      name: `Loop ${loop.id + 1} (${loop.synthModel || 'PolySynth'})`,
+      channel: channelForTrack(index),
+      program: SYNTH_MODEL_PROGRAMS[loop.synthModel] ?? SYNTH_MODEL_PROGRAMS.PolySynth,
+      volume: loop.volume,
+      pan: loop.pan,
+      notes: trimOverlaps(notes)
+    }
+  })
+
+  return new Blob([encodeMidiFile({ tracks, bpm, timeSignature: [4, 4], ppq, name })], { type: 'audio/midi' })
+}
@@ -0,0 +1,111 @@
+import { parseMidiFile } from '../utils/midiFile'
+import { MAX_GATE_STEPS } from '../utils/patternGenerators'
+import { useScales } from '../composables/useMusic'
+
+// Igual que useNotesMatrix: un loop no puede pasar de 512 pasos
+const MAX_CLIP_STEPS = 512
+
+// Penalización por cada nota de diferencia respecto a una escala heptatónica
+const SCALE_SIZE_PENALTY = 0.02
+
+const pitchClass = (note) => ((note % 12) + 12) % 12
+
+// Pasos de semicorchea por compás según el compás del archivo (4/4 = 16)
+const stepsPerBar = ([numerator, denominator] = [4, 4]) => Math.max(1, Math.round(numerator * 16 / denominator))
+
+/**
+ * Leer un archivo MIDI y resumir sus pistas para elegir un clip.
+ * Devuelve el MIDI parseado con `tracks[i].bars` (compases que ocupa cada pista).
+ */
+export const readMidiClip = (arrayBuffer) => {
+  const midi = parseMidiFile(arrayBuffer)
+  const ticksPerBar = (midi.ppq / 4) * stepsPerBar(midi.timeSignature)
+
+  midi.tracks = midi.tracks.map((track, index) => {
+    const lastTick = track.notes.reduce((max, note) => Math.max(max, note.tick + note.duration), 0)
+    return {
+      ...track,
+      index,
+      name: track.name || `Pista ${index + 1}`,
+      bars: Math.max(1, Math.ceil(lastTick / ticksPerBar))
+    }
+  })
+  midi.stepsPerBar = stepsPerBar(midi.timeSignature)
+  return midi
+}
+
+/**
+ * Cuantizar una pista a semicorcheas entre los compases `startBar` y `endBar` (base 1, inclusivos).
+ * Varias notas en el mismo paso forman un acorde. Devuelve { notes, lanes, length, lowest, highest }
+ * con pistas de velocidad (máxima del paso) y gate (duración en pasos).
+ */
+export const extractClipSteps = (midi, trackIndex, { startBar = 1, endBar = null } = {}) => {
+  const track = midi.tracks[trackIndex]
+  if (!track) throw new Error('Pista MIDI no encontrada')
+
+  const barSteps = stepsPerBar(midi.timeSignature)
+  const ticksPerStep = midi.ppq / 4
+  const firstBar = Math.max(1, Math.round(startBar))
+  const lastBar = Math.max(firstBar, Math.round(endBar ?? track.bars ?? firstBar))
+  const length = Math.min(MAX_CLIP_STEPS, (lastBar - firstBar + 1) * barSteps)
+  const offset = (firstBar - 1) * barSteps
+
+  const steps = Array.from({ length }, () => [])
+  const velocity = new Array(length).fill(1)
+  const gate = new Array(length).fill(null)
+
+  track.notes.forEach(note => {
+    const step = Math.round(note.tick / ticksPerStep) - offset
+    if (step < 0 || step >= length) return
+    steps[step].push(note.note)
+    velocity[step] = steps[step].length === 1 ? note.velocity : Math.max(velocity[step], note.velocity)
+    const duration = Math.max(1, Math.round(note.duration / ticksPerStep))
+    gate[step] = Math.min(MAX_GATE_STEPS, Math.max(gate[step] ?? 0, duration))
+  })
+
+  const allNotes = steps.flat()
+  const notes = steps.map(tones => {
+    const unique = [...new Set(tones)].sort((a, b) => a - b)
+    if (unique.length === 0) return null
+    return unique.length === 1 ? unique[0] : unique
+  })
+
+  return {
+    notes,
+    lanes: { velocity, gate },
+    length,
+    lowest: allNotes.length ? Math.min(...allNotes) : null,
+    highest: allNotes.length ? Math.max(...allNotes) : null
+  }
+}
+
+/**
+ * Detectar escala y tónica de un conjunto de notas (números MIDI o acordes).
+ * Puntúa la proporción de notas dentro de cada escala con una pequeña penalización
+ * por alejarse de 7 notas (si no, la cromática siempre ganaría); en empate
+ * prefiere la tónica más presente, con bonificación si es la nota más grave.
+ */
+export const detectClipScale = (notes) => {
+  const { scales } = useScales()
+  const weights = new Array(12).fill(0)
+  const flat = notes.flat().filter(note => typeof note === 'number')
+  if (flat.length === 0) return null
+
+  flat.forEach(note => { weights[pitchClass(note)]++ })
+  const bassClass = pitchClass(Math.min(...flat))
+
+  let best = null
+  Object.entries(scales).forEach(([name, intervals]) => {
+    for (let root = 0; root < 12; root++) {
+      const fit = intervals.reduce((sum, interval) => sum + weights[(root + interval) % 12], 0) / flat.length
+      const score = fit - SCALE_SIZE_PENALTY * Math.abs(intervals.length - 7)
+      const rootScore = weights[root] + (root === bassClass ? flat.length / 2 : 0)
+      if (!best || score > best.score + 1e-9 ||
+        (Math.abs(score - best.score) <= 1e-9 && rootScore > best.rootScore)) {
+        best = { scale: name, root, fit, score, rootScore }
+      }
+    }
+  })
+
+  return { scale: best.scale, root: best.root, fit: best.fit }
+}
@@ -0,0 +1,71 @@
+import { isWebMidiSupported } from './midiOutputService'
+
+/**
+ * Entradas MIDI intercambiables.
+ * Una entrada es cualquier objeto { id, name, addEventListener, removeEventListener }
+ * que emite eventos 'midimessage' con `data` (bytes), igual que MIDIInput de Web MIDI.
+ */
+
+// Traducir bytes a { type: 'cc' | 'note', channel, number, value (0-1), pressed }
+export const parseMidiMessage = (data) => {
+  const [status = 0, data1 = 0, data2 = 0] = data || []
+  const type = status & 0xF0
+  const channel = status & 0x0F
+
+  if (type === 0xB0) return { type: 'cc', channel, number: data1, value: data2 / 127, pressed: data2 >= 64 }
+  if (type === 0x90 && data2 > 0) return { type: 'note', channel, number: data1, value: data2 / 127, pressed: true }
+  if (type === 0x80 || type === 0x90) return { type: 'note', channel, number: data1, value: 0, pressed: false }
+  return null
+}
+
+// Clave única de un origen (tipo, canal y número de CC o nota)
+export const midiSourceKey = ({ type, channel, number }) => `${type}:${channel}:${number}`
+
+export const formatMidiSource = (source) => source
+  ? `${source.type === 'cc' ? 'CC' : 'Nota'} ${source.number} · Can. ${source.channel + 1}`
+  : ''
+
+/**
+ * Dispositivo simulado: envía mensajes a sus oyentes como lo haría un controlador real.
+ * Útil para pruebas y para disparar asignaciones sin hardware.
+ */
+export const createSimulatedMidiInput = ({ id = 'simulated', name = 'Controlador simulado' } = {}) => {
+  const listeners = new Set()
+  const emit = (data) => {
+    const event = { data: Uint8Array.from(data), timeStamp: typeof performance !== 'undefined' ? performance.now() : 0 }
+    listeners.forEach(listener => listener(event))
+  }
+
+  return {
+    id,
+    name,
+    addEventListener(type, listener) {
+      if (type === 'midimessage') listeners.add(listener)
+    },
+    removeEventListener(type, listener) {
+      if (type === 'midimessage') listeners.delete(listener)
+    },
+    emit,
+    controlChange: (channel, number, value) => emit([0xB0 | channel, number, value]),
+    noteOn: (channel, note, velocity = 127) => emit([0x90 | channel, note, velocity]),
+    noteOff: (channel, note) => emit([0x80 | channel, note, 0])
+  }
+}
+
+/**
+ * Pedir acceso a Web MIDI y listar sus entradas.
+ * `onChange(inputs)` se llama cada vez que se conecta o desconecta un dispositivo.
+ */
+export const requestWebMidiInputs = async (onChange = null) => {
+  if (!isWebMidiSupported()) throw new Error('Este navegador no soporta Web MIDI')
+
+  const access = await navigator.requestMIDIAccess()
+  const listInputs = () => Array.from(access.inputs.values()).filter(input => input.state !== 'disconnected')
+
+  if (onChange) {
+    access.addEventListener('statechange', (event) => {
+      if (event.port?.type === 'input') onChange(listInputs())
+    })
+  }
+  return listInputs()
+}
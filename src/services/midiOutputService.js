@@ -0,0 +1,59 @@
+/**
+ * Salidas MIDI intercambiables.
+ * Un puerto de salida es cualquier objeto { id, name, send(data, timestamp) } con la misma
+ * firma que MIDIOutput de Web MIDI: `data` son los bytes del mensaje y `timestamp`
+ * el instante en milisegundos de performance.now() (omitido = inmediato).
+ */
+
+// Mensajes de canal (channel 0-15, valores 0-127)
+const clamp7 = (value) => Math.max(0, Math.min(127, Math.round(value)))
+const statusByte = (type, channel) => type | (Math.max(0, Math.min(15, channel)) & 0x0F)
+
+export const noteOnMessage = (channel, note, velocity) => [statusByte(0x90, channel), clamp7(note), Math.max(1, clamp7(velocity * 127))]
+export const noteOffMessage = (channel, note) => [statusByte(0x80, channel), clamp7(note), 0]
+export const controlChangeMessage = (channel, controller, value) => [statusByte(0xB0, channel), clamp7(controller), clamp7(value)]
+
+export const MIDI_CC = {
+  volume: 7,
+  pan: 10,
+  allNotesOff: 123
+}
+
+/**
+ * Puerto en memoria que guarda cada mensaje enviado en `messages` ({ data, timestamp }).
+ * Sirve para probar el enrutado sin hardware ni permisos del navegador.
+ */
+export const createMemoryMidiOutput = ({ id = 'memory', name = 'Memoria' } = {}) => {
+  const messages = []
+  return {
+    id,
+    name,
+    messages,
+    send(data, timestamp = undefined) {
+      messages.push({ data: Array.from(data), timestamp })
+    },
+    reset() {
+      messages.length = 0
+    }
+  }
+}
+
+export const isWebMidiSupported = () => typeof navigator !== 'undefined' && typeof navigator.requestMIDIAccess === 'function'
+
+/**
+ * Pedir acceso a Web MIDI y listar sus salidas.
+ * `onChange(outputs)` se llama cada vez que se conecta o desconecta un puerto.
+ */
+export const requestWebMidiOutputs = async (onChange = null) => {
+  if (!isWebMidiSupported()) throw new Error('Este navegador no soporta Web MIDI')
+
+  const access = await navigator.requestMIDIAccess()
+  const listOutputs = () => Array.from(access.outputs.values()).filter(output => output.state !== 'disconnected')
+
+  if (onChange) {
+    access.addEventListener('statechange', (event) => {
+      if (event.port?.type === 'output') onChange(listOutputs())
+    })
+  }
+  return listOutputs()
+}
@@ -0,0 +1,80 @@
+import { encodeWav } from '../utils/wavEncoder'
+import { createZip } from '../utils/zipWriter'
+import { useNoteUtils } from '../composables/useMusic'
+
+const SESSION_FILE = 'session.json'
+const MASTER_FILE = 'master.wav'
+
+// Nombre de grupo apto para un fichero: sin acentos ni espacios
+const slugify = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase()
+
+const stemFilename = (stem, loops, index) => {
+  const number = String(index + 1).padStart(2, '0')
+  if (stem.group) return `stems/${number}-${slugify(stem.group.name) || 'grupo'}.wav`
+  const loop = loops.find(candidate => candidate.id === stem.loopIds[0])
+  return `stems/${number}-loop${loop.id + 1}-${loop.synthModel || 'synth'}.wav`
+}
+
+// Sumar canal a canal (mismo número de muestras en todos los arrays)
+const mixChannels = (target, source) => {
+  for (let i = 0; i < target.length; i++) target[i] += source[i]
+  return target
+}
+
+// Canales de cada stem: las tandas se concatenan en orden, `channelsPerStem` por stem
+const locateStems = (audioBuffers, channelsPerStem) => audioBuffers.flatMap(audioBuffer =>
+  Array.from({ length: Math.floor(audioBuffer.numberOfChannels / channelsPerStem) },
+    (_, slot) => ({ audioBuffer, first: slot * channelsPerStem })))
+
+/**
+ * Empaquetar los renders multicanal de stems en un ZIP.
+ * `buffers` son las tandas del render en orden; juntas traen `channelsPerStem` canales
+ * por stem de `session.stems`, en el mismo orden: seco L/R y retorno de efectos L/R.
+ * Cada stem es un grupo o un loop suelto (`{ group, loopIds }`); todas las tandas deben
+ * tener la misma duración. Los stems llevan o no los efectos según `withFx`;
+ * la mezcla maestra siempre los incluye, igual que en la reproducción en vivo.
+ */
+export const buildStemArchive = ({ buffers, session, bitDepth = 16, withFx = true, channelsPerStem = 4 }) => {
+  const audioBuffers = buffers.map(buffer => (typeof buffer?.get === 'function' ? buffer.get() : buffer))
+  const { sampleRate, length } = audioBuffers[0]
+  const { midiToNoteName } = useNoteUtils()
+  const slots = locateStems(audioBuffers, channelsPerStem)
+
+  const master = [new Float32Array(length), new Float32Array(length)]
+  const files = []
+  const stems = []
+
+  session.stems.forEach((stem, index) => {
+    const { audioBuffer, first } = slots[index]
+    const dry = [0, 1].map(side => audioBuffer.getChannelData(first + side))
+    const wet = [0, 1].map(side => audioBuffer.getChannelData(first + 2 + side))
+
+    // Stem con efectos = seca + retorno (copias: getChannelData devuelve la memoria del buffer)
+    const full = dry.map((channel, side) => mixChannels(Float32Array.from(channel), wet[side]))
+    full.forEach((channel, side) => mixChannels(master[side], channel))
+
+    const name = stemFilename(stem, session.loops, index)
+    files.push({ name, data: encodeWav(withFx ? full : dry, sampleRate, bitDepth) })
+    stems.push({ ...stem, file: name })
+  })
+
+  files.unshift({ name: MASTER_FILE, data: encodeWav(master, sampleRate, bitDepth) })
+
+  const sidecar = {
+    ...session,
+    key: midiToNoteName(60 + (session.rootNote ?? 0)).replace(/-?\d+$/, ''),
+    sampleRate,
+    bitDepth,
+    withFx,
+    durationSeconds: length / sampleRate,
+    master: MASTER_FILE,
+    // Cada loop apunta al stem en el que suena
+    loops: session.loops.map(loop => ({ ...loop, file: stems.find(stem => stem.loopIds.includes(loop.id)).file })),
+    stems,
+    exportedAt: new Date().toISOString()
+  }
+  files.push({ name: SESSION_FILE, data: JSON.stringify(sidecar, null, 2) })
+
+  return createZip(files)
+}
@@ -1,13 +1,27 @@
 import { defineStore } from 'pinia'
 import { ref, computed, markRaw } from 'vue'
-import { useScales, useMusic } from '../composables/useMusic'
+import { useScales, useMusic, useChords, useNoteUtils } from '../composables/useMusic'
 import { useNotesMatrix } from '../composables/useNotesMatrix'
 
 // Importar los nuevos módulos especializados
 import { useAudioEngine } from './modules/audioEngine'
-import { useLoopManager } from './modules/loopManager'
+import { useLoopManager, isLoopSilenced } from './modules/loopManager'
 import { useEnergyManager } from './modules/energyManager'
 import { useEvolutionSystem } from './modules/evolutionSystem'
+import { useHarmonicTimeline } from './modules/harmonicTimeline'
+import { useMidiOutput } from './modules/midiOutput'
+import { useMidiInput, MIDI_LOOP_LENGTHS } from './modules/midiInput'
+import { useMidiClock } from './modules/midiClock'
+import { useLaunchQueue, nextLaunchBoundary } from './modules/launchQueue'
+import { useSceneManager, SCENE_LOOP_PARAMS, SCENE_GROUP_PARAMS } from './modules/sceneManager'
+import { useArrangement, PULSES_PER_BAR } from './modules/arrangement'
+import { useLoopGroups } from './modules/loopGroups'
+import { createRenderSession } from './modules/renderSession'
+import { audioBufferToWav } from '../utils/wavEncoder'
+import { getStepLength, getStepsInPulse } from '../utils/stepRates'
+import { buildStemArchive } from '../services/stemExportService'
+import { buildMidiFile } from '../services/midiExportService'
+import { detectClipScale } from '../services/midiImportService'
 
 // Debounce utility function for performance optimization
 const debounce = (fn, delay) => {
@@ -47,8 +61,26 @@ export const useAudioStore = defineStore('audio', () => {
   // Inicializar módulos especializados con acceso a la matriz
   const audioEngine = useAudioEngine()
   const loopManager = useLoopManager(notesMatrix)
-  const energyManager = useEnergyManager(notesMatrix)
+  const loopGroups = useLoopGroups(audioEngine)
+  const energyManager = useEnergyManager(notesMatrix, {
+    isLoopSilenced: (loop) => isSilenced(loop),
+    canBalanceLoop: (loop) => loopGroups.isLoopInTarget(loop, loopGroups.energyGroupId.value)
+  })
   const evolutionSystem = useEvolutionSystem(notesMatrix)
+  const harmonicTimeline = useHarmonicTimeline()
+  const midiOutput = useMidiOutput()
+  const midiInput = useMidiInput()
+  const midiClock = useMidiClock(audioEngine, midiOutput, {
+    onStart: () => realignEvolveToBar(),
+    onPosition: () => realignEvolveToBar(),
+    onStop: () => {
+      launchQueue.flush()
+      midiOutput.allNotesOff()
+    }
+  })
+  const launchQueue = useLaunchQueue()
+  const sceneManager = useSceneManager(notesMatrix)
+  const arrangement = useArrangement()
 
   // Performance optimization: maintain cache of active loop IDs
   // Updated whenever a loop's active state changes
@@ -56,9 +88,9 @@ export const useAudioStore = defineStore('audio', () => {
 
   const updateActiveLoopsCache = () => {
     cachedActiveLoopIndices.clear()
-    loopManager.loops.value.forEach((loop, idx) => {
+    loopManager.loops.value.forEach(loop => {
       if (loop.isActive) {
-        cachedActiveLoopIndices.add(idx)
+        cachedActiveLoopIndices.add(loop.id)
       }
     })
   }
@@ -79,6 +111,7 @@ export const useAudioStore = defineStore('audio', () => {
 
   // Estado específico del store principal (coordinación entre módulos)
   const currentScale = ref('major')
+  const rootNote = ref(0) // Tónica global como clase de altura (0 = C)
 
   // Estado de evolución automática (coordinación entre módulos)
   const autoEvolve = ref(false)
@@ -94,6 +127,20 @@ export const useAudioStore = defineStore('audio', () => {
   const momentumMaxLevel = ref(5)
   let evolveIntervalId = null
 
+  // Estado musical sobre el que trabaja la evolución. Los renders evolucionan una copia
+  // con los mismos campos (ver modules/renderSession) para no tocar la sesión en vivo
+  const liveSession = {
+    notesMatrix,
+    loopManager,
+    evolution: evolutionSystem,
+    scale: currentScale,
+    rootNote,
+    recentScales,
+    tensionPhase: isTensionPhase,
+    lastResponderId,
+    lastCallerId
+  }
+
   // Configuración de modos creativos
   const evolveMode = ref('classic')
   const momentumEnabled = ref(false)
@@ -110,17 +157,48 @@ export const useAudioStore = defineStore('audio', () => {
 
   // Funciones principales que coordinan entre módulos
 
+  // Acorde actual de la progresión global (null si está desactivada)
+  const getHarmonyAtPulse = (pulse, session = liveSession) => harmonicTimeline.enabled.value
+    ? harmonicTimeline.getHarmonyAtPulse(pulse, useScales().getScale(session.scale.value),
+      session.notesMatrix.matrixState.globalBaseNote, { updateCurrent: session === liveSession })
+    : null
+
+  // Transformación de notas de un paso según el acorde actual (null sin armonía)
+  const getNoteTransform = (loopId, step, harmony, session = liveSession) => harmony
+    ? (note) => {
+      const noteRange = session.notesMatrix.getLoopNoteRange(loopId)
+      return mapStepNotes(note, tone => harmonicTimeline.harmonizeNote(tone, step, harmony, noteRange))
+    }
+    : null
+
+  // ¿Hay algún loop o grupo en solo? (loops es shallowRef: se recalcula con cada triggerLoopsUpdate)
+  const hasSolo = computed(() => loopManager.loops.value.some(loop => loop.solo) ||
+    loopGroups.groups.value.some(group => group.solo))
+
+  const isSilenced = (loop, soloActive = hasSolo.value) =>
+    isLoopSilenced(loop, soloActive, loopGroups.getGroup(loop.groupId))
+
   // Función para reproducir loops activos en cada pulso
   // Optimized to use cached active loop indices instead of filtering
+  // Mute/solo solo silencian la reproducción en vivo (los renders resuelven sus pasos en resolveRenderTimeline)
   const playActiveLoops = (time, pulse) => {
-    const loops = loopManager.loops.value
+    const harmony = getHarmonyAtPulse(pulse)
+    const soloActive = hasSolo.value
 
     // Use cached indices instead of filtering (called 16x/second)
     cachedActiveLoopIndices.forEach(loopId => {
-      const loop = loops[loopId]
+      const loop = loopManager.getLoop(loopId)
       if (loop && loop.isActive) { // Safety check
-        const step = (pulse - 1) % loop.length
-        loopManager.playLoopNote(loop, audioEngine, step, time)
+        if (isSilenced(loop, soloActive)) return
+        // Cada loop avanza en su propia rejilla (ver utils/stepRates): 0, 1 o varios pasos por pulso
+        getStepsInPulse(loop.stepRate, pulse).forEach(({ index, offset }) => {
+          // Armonía y groove siguen el paso en el tiempo; el modo de reproducción elige qué posición suena
+          const beatStep = index % loop.length
+          const step = loopManager.getPlayStep(loop, index)
+          const stepTime = offset > 0 ? time + offset * audioEngine.getStepDuration() : time
+          loopManager.playLoopNote(loop, audioEngine, step, stepTime, getNoteTransform(loopId, beatStep, harmony),
+            midiOutput, beatStep)
+        })
       }
     })
   }
@@ -138,8 +216,15 @@ export const useAudioStore = defineStore('audio', () => {
 
     await audioEngine.initAudio()
 
-    // Configurar callback del transporte para reproducir loops
-    audioEngine.setupTransportCallback(playActiveLoops)
+    // Configurar callback del transporte para reproducir loops (y enviar reloj MIDI en modo maestro)
+    audioEngine.setupTransportCallback((time, pulse) => {
+      midiClock.handleInternalPulse(time)
+      // Lanzamientos en cola que caen en este pulso, antes de reproducirlo
+      launchQueue.processPulse(pulse)
+      // Modo canción: cambio de sección (o fin del arreglo, que no llega a sonar)
+      if (!advanceArrangement(pulse)) return
+      playActiveLoops(time, pulse)
+    })
 
     // Inicializar loops con configuración por defecto - pass scale NAME not intervals
     loopManager.initializeLoops(currentScale.value, audioEngine)
@@ -147,27 +232,53 @@ export const useAudioStore = defineStore('audio', () => {
     // Initialize active loops cache
     updateActiveLoopsCache()
 
+    // Buses de los grupos creados antes de iniciar el audio
+    routeAllLoops()
+
     audioStoreInitializing = false
     return true
   }
 
   // Control de reproducción
-  const togglePlay = () => {
-    audioEngine.togglePlay()
+  const togglePlay = async () => {
+    // Con reloj externo el transporte lo controlan sus mensajes start/stop
+    if (audioEngine.externalClock.value) return
+
+    if (!audioEngine.isPlaying.value) {
+      midiClock.sendTransportStart(audioEngine.getPulse())
+      // Un arreglo terminado vuelve a empezar al darle al play
+      if (arrangement.enabled.value && arrangement.currentIndex.value === -1) arrangement.start(getArrangementStartPulse())
+    }
+    await audioEngine.togglePlay()
 
     if (audioEngine.isPlaying.value && autoEvolve.value) {
       startAutoEvolve()
     } else if (!audioEngine.isPlaying.value) {
-      stopAutoEvolve()
+      handlePlaybackStopped()
     }
   }
 
+  const handlePlaybackStopped = () => {
+    stopAutoEvolve()
+    launchQueue.flush()
+    midiOutput.allNotesOff()
+    midiClock.sendTransportStop()
+  }
+
+  // Parar desde el propio transporte (fin del arreglo); con reloj externo para el dispositivo maestro
+  const stopPlayback = () => {
+    if (audioEngine.externalClock.value || !audioEngine.isPlaying.value) return
+    audioEngine.stopTransport()
+    handlePlaybackStopped()
+  }
+
   // Control de loops
-  const toggleLoop = (id) => {
+  const applyToggleLoop = (id) => {
+    const loop = loopManager.getLoop(id)
+    if (!loop) return
     loopManager.toggleLoop(id)
 
     // Update active loops cache
-    const loop = loopManager.loops.value[id]
     if (loop.isActive) {
       addActiveLoopToCache(id)
     } else {
@@ -185,9 +296,9 @@ export const useAudioStore = defineStore('audio', () => {
 
   // Establecer explícitamente el estado activo de un loop (idempotente)
   const setLoopActive = (id, active) => {
-    const loop = loopManager.loops.value[id]
+    const loop = loopManager.getLoop(id)
     const desired = Boolean(active)
-    if (loop.isActive === desired) return
+    if (!loop || loop.isActive === desired) return
 
     // Usar la misma ruta que toggle para mantener sincronización con la matriz
     loopManager.toggleLoop(id)
@@ -210,7 +321,8 @@ export const useAudioStore = defineStore('audio', () => {
 
   // Actualizar parámetros de loop
   const updateLoopParam = (id, param, value) => {
-    const loop = loopManager.loops.value[id]
+    const loop = loopManager.getLoop(id)
+    if (!loop) return
     const oldValue = loop[param]
 
     loopManager.updateLoopParam(id, param, value)
@@ -222,20 +334,196 @@ export const useAudioStore = defineStore('audio', () => {
       debouncedEnergyCheck(loopManager.loops.value)
     }
 
+    // Reflejar volumen y panorama en el canal MIDI del loop (CC7/CC10)
+    if (param === 'volume' || param === 'pan') {
+      midiOutput.sendLoopMix(id, { [param]: loop[param] })
+    }
+
     // Disparar notificación de cambios para activar auto-guardado en el preset
     notifyPresetChanges()
   }
 
+  // Número de loops variable (hasta maxLoops). Los ids son estables: borrar un loop no renumera
+  // los demás, y sus referencias (escenas, arreglo, rutas MIDI) se limpian para que el id quede libre
+  const addLoop = () => {
+    if (!audioEngine.audioInitialized.value) return null
+    const loop = loopManager.addLoop(currentScale.value, audioEngine, {
+      adaptiveVolume: energyManager.getAdaptiveVolume(loopManager.loops.value, null),
+      adaptiveDensity: energyManager.getAdaptiveDensity(loopManager.loops.value)
+    })
+    if (loop) notifyPresetChanges()
+    return loop
+  }
+
+  const removeLoop = (id) => {
+    if (!loopManager.getLoop(id)) return false
+    launchQueue.cancelLoop(id)
+    removeActiveLoopFromCache(id)
+    if (midiOutput.getLoopRoute(id)) midiOutput.setLoopRoute(id, { portId: null })
+    sceneManager.forgetLoop(id)
+    arrangement.forgetLoop(id)
+    loopManager.removeLoop(id)
+
+    energyManager.clearEnergyCache()
+    if (energyManager.energyManagementEnabled.value) {
+      energyManager.adjustAllLoopVolumes(loopManager.loops.value)
+    }
+    notifyPresetChanges()
+    return true
+  }
+
+  const setMaxLoops = (value) => {
+    loopManager.setMaxLoops(value)
+    notifyPresetChanges()
+  }
+
+  // Presets: dejar exactamente los loops `ids`; los que falten se crean y el preset los configura después
+  const syncLoopIds = (ids) => {
+    const wanted = new Set(ids.filter(id => Number.isInteger(id) && id >= 0 && id < loopManager.loopCapacity))
+    loopManager.loops.value
+      .filter(loop => !wanted.has(loop.id))
+      .forEach(loop => removeLoop(loop.id))
+    loopManager.setMaxLoops(Math.max(loopManager.maxLoops.value, wanted.size))
+    const engine = audioEngine.audioInitialized.value ? audioEngine : null
+    wanted.forEach(id => {
+      if (!loopManager.getLoop(id)) loopManager.addLoop(currentScale.value, engine, { id })
+    })
+    updateActiveLoopsCache()
+    loopManager.triggerLoopsUpdate()
+  }
+
+  // Mute/solo: no tocan isActive, así que la evolución y la matriz siguen contando con el loop
+  const afterAudibilityChange = () => {
+    energyManager.clearEnergyCache()
+    // La energía solo cambia si los loops silenciados dejan de contar
+    if (!energyManager.countSilencedLoops.value) debouncedEnergyCheck(loopManager.loops.value)
+    notifyPresetChanges()
+  }
+
+  const setLoopMuted = (id, muted) => {
+    if (!loopManager.getLoop(id)) return
+    loopManager.updateLoopParam(id, 'muted', muted)
+    afterAudibilityChange()
+  }
+
+  // Varios loops pueden estar en solo a la vez
+  const setLoopSolo = (id, solo) => {
+    if (!loopManager.getLoop(id)) return
+    loopManager.updateLoopParam(id, 'solo', solo)
+    afterAudibilityChange()
+  }
+
+  const toggleLoopMute = (id) => setLoopMuted(id, !loopManager.getLoop(id)?.muted)
+
+  const toggleLoopSolo = (id) => setLoopSolo(id, !loopManager.getLoop(id)?.solo)
+
+  // Quita también el solo de los grupos
+  const clearSolos = () => {
+    loopManager.loops.value.forEach(loop => {
+      if (loop.solo) loopManager.updateLoopParam(loop.id, 'solo', false)
+    })
+    loopGroups.groups.value.forEach(group => {
+      if (group.solo) loopGroups.updateGroup(group.id, { solo: false })
+    })
+    afterAudibilityChange()
+  }
+
+  // ¿Suena el loop ahora mismo? (activo, sin mute y dentro del solo si lo hay)
+  const isLoopAudible = (id) => {
+    const loop = loopManager.getLoop(id)
+    return Boolean(loop?.isActive) && !isSilenced(loop)
+  }
+
+  const updateCountSilencedLoops = (value) => {
+    energyManager.updateCountSilencedLoops(value)
+    debouncedEnergyCheck(loopManager.loops.value)
+    notifyPresetChanges()
+  }
+
+  // Grupos de submezcla (ver modules/loopGroups)
+  // Enviar la señal seca del loop al bus de su grupo o al master
+  const routeLoopOutput = (loop) => {
+    audioEngine.routeAudioChain(loop, loopGroups.getBus(loop.groupId))
+  }
+
+  const routeAllLoops = () => {
+    loopGroups.ensureBuses()
+    loopManager.loops.value.forEach(routeLoopOutput)
+  }
+
+  const setLoopGroup = (loopId, groupId) => {
+    const loop = loopManager.getLoop(loopId)
+    if (!loop) return
+    loop.groupId = loopGroups.getGroup(groupId) ? groupId : null
+    routeLoopOutput(loop)
+    loopManager.triggerLoopsUpdate()
+    afterAudibilityChange()
+  }
+
+  const addLoopGroup = (overrides = {}) => {
+    const group = loopGroups.addGroup(overrides)
+    notifyPresetChanges()
+    return group
+  }
+
+  // Mute y solo del grupo se tratan como los de los loops; el resto son ajustes del bus
+  const updateLoopGroup = (groupId, updates) => {
+    const group = loopGroups.updateGroup(groupId, updates)
+    if (!group) return null
+    if ('muted' in updates || 'solo' in updates) {
+      afterAudibilityChange()
+    } else {
+      notifyPresetChanges()
+    }
+    return group
+  }
+
+  const deleteLoopGroup = (groupId) => {
+    loopManager.loops.value.forEach(loop => {
+      if (loop.groupId === groupId) {
+        loop.groupId = null
+        routeLoopOutput(loop)
+      }
+    })
+    loopGroups.removeGroup(groupId)
+    loopManager.triggerLoopsUpdate()
+    afterAudibilityChange()
+  }
+
+  // Limitar la evolución automática o el ajuste de energía a un grupo (null = todos los loops)
+  const setEvolveGroup = (groupId) => {
+    loopGroups.setEvolveGroup(groupId)
+    notifyPresetChanges()
+  }
+
+  const setEnergyGroup = (groupId) => {
+    loopGroups.setEnergyGroup(groupId)
+    notifyPresetChanges()
+  }
+
+  // Presets: reemplazar los grupos; los loops cuyo grupo ya no existe vuelven al master
+  const importLoopGroups = (data) => {
+    loopGroups.importGroups(data)
+    loopManager.loops.value.forEach(loop => {
+      if (loop.groupId && !loopGroups.getGroup(loop.groupId)) loop.groupId = null
+    })
+    routeAllLoops()
+    loopManager.triggerLoopsUpdate()
+  }
+
   // Actualizar configuración del sintetizador
   const updateLoopSynth = (loopId, synthConfig) => {
     loopManager.updateLoopSynth(loopId, synthConfig, audioEngine)
+    // La cadena nueva sale al master: devolverla a su grupo
+    const loop = loopManager.getLoop(loopId)
+    if (loop?.groupId) routeLoopOutput(loop)
 
     // Disparar notificación de cambios para activar auto-guardado en el preset
     notifyPresetChanges()
   }
 
   // Regenerar loop individual
-  const regenerateLoop = (id) => {
+  const applyRegenerateLoop = (id) => {
     if (!audioEngine.audioInitialized.value) return
 
     const scale = useScales().getScale(currentScale.value)
@@ -246,18 +534,262 @@ export const useAudioStore = defineStore('audio', () => {
     loopManager.regenerateLoop(id, scale, currentScale.value, adaptiveDensity, adaptiveVolume)
   }
 
+  /**
+   * Lanzamientos cuantizados (ver launchQueue): la acción espera a la siguiente
+   * frontera de la cuantización global mientras suena el transporte.
+   * Con cuantización 'loop' la frontera es la longitud del loop (o la del loop activo más largo).
+   */
+  const scheduleLaunch = (type, loopId, action, { toggle = false } = {}) => {
+    const loops = loopManager.loops.value
+    // Longitud en pulsos: un loop a 1/8 de 16 pasos dura 32 semicorcheas
+    const pulseLength = (loop) => Math.round(loop.length * getStepLength(loop.stepRate))
+    const target = loopId !== null ? loopManager.getLoop(loopId) : null
+    const loopLength = loopId !== null
+      ? (target ? pulseLength(target) : undefined)
+      : Math.max(0, ...loops.filter(loop => loop.isActive).map(pulseLength))
+    return launchQueue.schedule({
+      type,
+      loopId,
+      toggle,
+      loopLength,
+      pulse: audioEngine.getPulse(),
+      isPlaying: audioEngine.isPlaying.value
+    }, action)
+  }
+
+  // Pulsar dos veces antes de la frontera cancela el cambio
+  const toggleLoop = (id) => scheduleLaunch('toggle', id, () => applyToggleLoop(id), { toggle: true })
+
+  const regenerateLoop = (id) => scheduleLaunch('regenerate', id, () => applyRegenerateLoop(id))
+
+  // Cargas de preset (presetStore.loadPreset)
+  const schedulePresetLaunch = (action) => scheduleLaunch('preset', null, action)
+
+  const isLaunchPending = (type, loopId = null) => launchQueue.isPending(type, loopId)
+
+  const setLaunchQuantize = (value) => {
+    launchQueue.setLaunchQuantize(value)
+    notifyPresetChanges()
+  }
+
+  // Escenas: combinaciones de loops activos con su mezcla (y opcionalmente sus notas)
+  // Con `groupId` la escena solo abarca los loops de ese grupo y su bus
+  const saveScene = ({ name = null, includeNotes = false, groupId = null } = {}) => {
+    const scene = sceneManager.addScene(loopManager.loops.value, {
+      name,
+      includeNotes,
+      groupId: loopGroups.getGroup(groupId) ? groupId : null,
+      groups: loopGroups.groups.value
+    })
+    notifyPresetChanges()
+    return scene
+  }
+
+  const overwriteScene = (sceneId) => {
+    const scene = sceneManager.overwriteScene(sceneId, loopManager.loops.value, loopGroups.groups.value)
+    if (scene) notifyPresetChanges()
+    return scene
+  }
+
+  const renameScene = (sceneId, name) => {
+    sceneManager.renameScene(sceneId, name)
+    notifyPresetChanges()
+  }
+
+  const deleteScene = (sceneId) => {
+    sceneManager.deleteScene(sceneId)
+    notifyPresetChanges()
+  }
+
+  // Aplicar una escena en el acto: los loops que no aparecen en ella no se tocan
+  const applyScene = (sceneId) => {
+    const scene = sceneManager.getScene(sceneId)
+    if (!scene) return null
+
+    // Activar primero: setLoopActive reequilibra los volúmenes con la gestión de energía,
+    // y la mezcla guardada en la escena debe quedar por encima (igual que al cargar un preset)
+    scene.loops.forEach(saved => {
+      if (loopManager.getLoop(saved.id)) setLoopActive(saved.id, saved.isActive)
+    })
+
+    scene.loops.forEach(saved => {
+      const loop = loopManager.getLoop(saved.id)
+      if (!loop) return
+
+      SCENE_LOOP_PARAMS.forEach(param => {
+        if (saved[param] !== undefined && loop[param] !== saved[param]) updateLoopParam(saved.id, param, saved[param])
+      })
+
+      if (Array.isArray(saved.notes)) {
+        if (saved.baseNote !== undefined) {
+          notesMatrix.updateLoopMetadata(saved.id, { baseNote: saved.baseNote })
+          loop.baseNote = saved.baseNote
+        }
+        notesMatrix.setLoopNotes(saved.id, saved.notes, saved.lanes ?? null)
+        loop.length = notesMatrix.loopMetadata[saved.id].length
+      }
+    })
+
+    // Mezcla de los grupos guardados que sigan existiendo
+    scene.groups?.forEach(saved => {
+      if (!loopGroups.getGroup(saved.id)) return
+      const updates = Object.fromEntries(SCENE_GROUP_PARAMS.filter(param => saved[param] !== undefined).map(param => [param, saved[param]]))
+      loopGroups.updateGroup(saved.id, updates)
+    })
+
+    loopManager.triggerLoopsUpdate()
+    sceneManager.setActiveScene(sceneId)
+    // El mute/solo de los grupos puede haber cambiado
+    afterAudibilityChange()
+    return scene
+  }
+
+  // Lanzar una escena cuantizada como el resto de lanzamientos; la última pedida reemplaza a la pendiente
+  const launchScene = async (sceneId) => {
+    if (!sceneManager.getScene(sceneId)) return null
+    sceneManager.pendingSceneId.value = sceneId
+    const scene = await scheduleLaunch('scene', null, () => applyScene(sceneId))
+    if (sceneManager.pendingSceneId.value === sceneId) sceneManager.pendingSceneId.value = null
+    return scene ?? null
+  }
+
+  // Modo canción (ver modules/arrangement): cada sección fija loops, escala, tempo y evolución
+  const applyArrangementSection = (section) => {
+    if (section.tempo) updateTempo(section.tempo)
+    if (section.scale && section.scale !== currentScale.value) updateScale(section.scale)
+    if (section.rootNote !== null && section.rootNote !== rootNote.value) updateRootNote(section.rootNote)
+
+    // La escena (si sigue existiendo) manda sobre la lista de loops activos
+    if (section.sceneId && sceneManager.getScene(section.sceneId)) {
+      applyScene(section.sceneId)
+    } else if (Array.isArray(section.activeLoops)) {
+      loopManager.loops.value.forEach(loop => setLoopActive(loop.id, section.activeLoops.includes(loop.id)))
+      loopManager.triggerLoopsUpdate()
+    }
+
+    if (section.evolveIntensity !== null) updateEvolveIntensity(section.evolveIntensity)
+    if (section.evolve === true && !autoEvolve.value) startAutoEvolve()
+    else if (section.evolve === false && autoEvolve.value) stopAutoEvolve()
+  }
+
+  // Devuelve false si el pulso no debe sonar: el arreglo ha terminado y se para el transporte.
+  // Con reloj externo no se puede parar, así que los loops siguen como quedaron
+  const advanceArrangement = (pulse) => {
+    const event = arrangement.processPulse(pulse)
+    if (!event) return true
+    if (event.type === 'section') {
+      applyArrangementSection(event.section)
+      return true
+    }
+    if (audioEngine.externalClock.value) return true
+    stopPlayback()
+    return false
+  }
+
+  // Las secciones empiezan siempre en un compás
+  const getArrangementStartPulse = () => nextLaunchBoundary(audioEngine.getPulse(), PULSES_PER_BAR)
+
+  const setArrangementEnabled = (enabled) => {
+    arrangement.setEnabled(enabled)
+    if (arrangement.enabled.value) arrangement.start(getArrangementStartPulse())
+    notifyPresetChanges()
+  }
+
+  // Saltar a una sección en el próximo compás (activa el modo canción si hace falta)
+  const jumpToArrangementSection = (index) => {
+    if (!arrangement.sections.value[index]) return
+    if (!arrangement.enabled.value) arrangement.setEnabled(true)
+    arrangement.jumpTo(index, getArrangementStartPulse())
+  }
+
+  // Nueva sección a partir del estado actual: loops activos, escala, tónica y tempo
+  const addArrangementSection = (overrides = {}) => {
+    const section = arrangement.addSection({
+      name: `Sección ${arrangement.sections.value.length + 1}`,
+      activeLoops: loopManager.loops.value.filter(loop => loop.isActive).map(loop => loop.id),
+      scale: currentScale.value,
+      rootNote: rootNote.value,
+      tempo: audioEngine.tempo.value,
+      ...overrides
+    })
+    notifyPresetChanges()
+    return section
+  }
+
+  const updateArrangementSection = (sectionId, updates) => {
+    arrangement.updateSection(sectionId, updates)
+    notifyPresetChanges()
+  }
+
+  const removeArrangementSection = (sectionId) => {
+    arrangement.removeSection(sectionId)
+    notifyPresetChanges()
+  }
+
+  const moveArrangementSection = (sectionId, offset) => {
+    arrangement.moveSection(sectionId, offset)
+    notifyPresetChanges()
+  }
+
+  const setArrangementLoop = (marker) => {
+    arrangement.setLoopMarker(marker)
+    notifyPresetChanges()
+  }
+
+  const setArrangementStop = (index) => {
+    arrangement.setStopMarker(index)
+    notifyPresetChanges()
+  }
+
+  // Presets: al cargar un arreglo activo empieza desde su primera sección
+  const importArrangement = (data) => {
+    arrangement.importArrangement(data)
+    if (arrangement.enabled.value) arrangement.start(getArrangementStartPulse())
+  }
+
+  // Línea de tiempo armónica: progresión global que siguen todos los loops
+  const { mapStepNotes } = useChords()
+
+  const setHarmonicTimelineEnabled = (enabled) => {
+    harmonicTimeline.setEnabled(enabled)
+    // Los generadores favorecen notas del acorde en tiempos fuertes mientras haya progresión
+    notesMatrix.setFavorChordTones(harmonicTimeline.enabled.value)
+    notifyPresetChanges()
+  }
+
+  const updateHarmonicTimeline = ({ progression, barsPerChord, mode, sevenths } = {}) => {
+    if (progression !== undefined) harmonicTimeline.setProgression(progression)
+    if (barsPerChord !== undefined) harmonicTimeline.setBarsPerChord(barsPerChord)
+    if (mode !== undefined) harmonicTimeline.setMode(mode)
+    if (sevenths !== undefined) harmonicTimeline.setUseSevenths(sevenths)
+    notifyPresetChanges()
+  }
+
+  // Etiqueta del acorde que suena (p. ej. "vi")
+  const currentChordLabel = computed(() => {
+    if (!harmonicTimeline.enabled.value) return ''
+    return harmonicTimeline.getChordLabel(useScales().getScale(currentScale.value), harmonicTimeline.currentChordIndex.value)
+  })
+
+  // Activar/desactivar el modo acordes de un loop y regenerar su progresión
+  const setLoopChordMode = (id, enabled) => {
+    loopManager.updateLoopParam(id, 'chordMode', enabled)
+    applyRegenerateLoop(id)
+    notifyPresetChanges()
+  }
+
   // Regenerar todos los loops
   const regenerateAllLoops = () => {
     if (!audioEngine.audioInitialized.value) return
 
     const scale = useScales().getScale(currentScale.value)
 
-    for (let i = 0; i < loopManager.NUM_LOOPS; i++) {
+    loopManager.loops.value.forEach(loop => {
       const adaptiveDensity = energyManager.getAdaptiveDensity(loopManager.loops.value)
-      const adaptiveVolume = energyManager.getAdaptiveVolume(loopManager.loops.value, i)
+      const adaptiveVolume = energyManager.getAdaptiveVolume(loopManager.loops.value, loop.id)
       // Pass both scale intervals and scale name
-      loopManager.regenerateLoop(i, scale, currentScale.value, adaptiveDensity, adaptiveVolume)
-    }
+      loopManager.regenerateLoop(loop.id, scale, currentScale.value, adaptiveDensity, adaptiveVolume)
+    })
 
     // Ajustar volúmenes después de regenerar todos
     energyManager.adjustAllLoopVolumes(loopManager.loops.value)
@@ -271,10 +803,23 @@ export const useAudioStore = defineStore('audio', () => {
 
   // Control de tempo
   const updateTempo = (newTempo) => {
+    // Con reloj externo el tempo lo marca el dispositivo
+    if (audioEngine.externalClock.value) return
     audioEngine.updateTempo(newTempo)
     notifyPresetChanges()
   }
 
+  // Groove global: swing (0-1) y plantilla de groove
+  const updateSwing = (amount) => {
+    audioEngine.updateSwing(amount)
+    notifyPresetChanges()
+  }
+
+  const updateGrooveTemplate = (name) => {
+    audioEngine.updateGrooveTemplate(name)
+    notifyPresetChanges()
+  }
+
   // Control de volumen maestro
   const updateMasterVolume = (volume) => {
     audioEngine.updateMasterVolume(volume)
@@ -314,6 +859,28 @@ export const useAudioStore = defineStore('audio', () => {
     notifyPresetChanges()
   }
 
+  // Intervalo más corto (-6..+5) entre dos tónicas, para no desplazar los loops de registro
+  const getRootShift = (from, to) => ((to - from + 18) % 12) - 6
+
+  // Actualizar la tónica global (clase de altura 0-11 o número MIDI)
+  const updateRootNote = (note) => {
+    const value = Math.round(Number(note))
+    if (!Number.isFinite(value)) {
+      console.error(`[updateRootNote] Invalid root note: "${note}"`)
+      return
+    }
+
+    const pitchClass = ((value % 12) + 12) % 12
+    const semitones = getRootShift(rootNote.value, pitchClass)
+    rootNote.value = pitchClass
+    loopManager.setGlobalRootNote(loopManager.getGlobalRootNote() + semitones)
+
+    if (audioEngine.audioInitialized.value) {
+      loopManager.transposeAllLoops(semitones)
+    }
+    notifyPresetChanges()
+  }
+
   // Actualizar división del delay
   const updateDelayDivision = (division) => {
     audioEngine.updateDelayDivision(division)
@@ -322,10 +889,10 @@ export const useAudioStore = defineStore('audio', () => {
 
   // Sistema de evolución automática
 
-  const getRandomScale = (excludeScale = null) => {
+  const getRandomScale = (excludeScale = null, recent = recentScales.value) => {
     const { scales: scalesList } = useScales()
     const availableScales = Object.keys(scalesList).filter(scale =>
-      scale !== excludeScale && !recentScales.value.includes(scale)
+      scale !== excludeScale && !recent.includes(scale)
     )
     if (availableScales.length === 0) {
       return Object.keys(scalesList).find(scale => scale !== excludeScale) || 'major'
@@ -333,13 +900,14 @@ export const useAudioStore = defineStore('audio', () => {
     return availableScales[Math.floor(Math.random() * availableScales.length)]
   }
 
-  const getRelatedScale = (currentScale) => {
+  const getRelatedScale = (currentScale, recent = recentScales.value) => {
     const { getRelatedScale: getMusicRelatedScale } = useMusic()
-    return getMusicRelatedScale(currentScale) || getRandomScale(currentScale)
+    return getMusicRelatedScale(currentScale) || getRandomScale(currentScale, recent)
   }
 
-  const selectRandomLoops = (count) => {
-    const activeLoops = loopManager.loops.value.filter(loop => loop.isActive)
+  const selectRandomLoops = (count, session = liveSession) => {
+    const activeLoops = session.loopManager.loops.value
+      .filter(loop => loop.isActive && loopGroups.isLoopInTarget(loop, loopGroups.evolveGroupId.value))
     if (activeLoops.length === 0) return []
 
     const selected = []
@@ -369,36 +937,77 @@ export const useAudioStore = defineStore('audio', () => {
   }
 
   // Tensión/Release usando el sistema de evolución
-  const applyTensionRelease = () => {
+  const applyTensionRelease = (session = liveSession) => {
     const { getConsonantScale, getDissonantScale } = useMusic()
-    isTensionPhase.value = !isTensionPhase.value
-    const recent = [...recentScales.value]
-    if (isTensionPhase.value) {
-      return getDissonantScale(currentScale.value, recent)
+    session.tensionPhase.value = !session.tensionPhase.value
+    const recent = [...session.recentScales.value]
+    if (session.tensionPhase.value) {
+      return getDissonantScale(session.scale.value, recent)
     } else {
-      return getConsonantScale(currentScale.value, recent)
+      return getConsonantScale(session.scale.value, recent)
     }
   }
 
+  // Próxima escala de la evolución según el modo creativo
+  const pickEvolutionScale = (session = liveSession) => {
+    const scale = session.scale.value
+    const recent = session.recentScales.value
+    switch (evolveMode.value) {
+      case 'momentum':
+        return getRandomScale(scale, recent)
+      case 'callResponse':
+        return getRelatedScale(scale, recent)
+      case 'tensionRelease':
+        return applyTensionRelease(session) || getRandomScale(scale, recent)
+      default: // classic
+        // Si Call & Response está activado, usar una escala relacionada para mantener coherencia
+        return callResponseEnabled.value ? getRelatedScale(scale, recent) : getRandomScale(scale, recent)
+    }
+  }
+
+  // Recordar las últimas escalas para no repetirlas enseguida
+  const rememberScale = (session, scale) => {
+    session.recentScales.value.push(scale)
+    if (session.recentScales.value.length > 3) {
+      session.recentScales.value.shift()
+    }
+  }
+
+  // Volcar en los loops lo que devuelve evolveMultipleLoops
+  const applyEvolvedLoops = (session, evolvedLoops) => {
+    const { loopManager: manager } = session
+    evolvedLoops.forEach((evolvedLoop, index) => {
+      const loop = manager.loops.value[index]
+      if (evolvedLoop === loop) return
+      const { playMode, ...changes } = evolvedLoop
+      Object.assign(loop, changes)
+      // El modo pasa por updateLoopParam para reiniciar su cabezal (posición, orden barajado...)
+      if (playMode !== loop.playMode) manager.updateLoopParam(loop.id, 'playMode', playMode)
+    })
+    // loops es shallowRef: las tarjetas deben ver los cambios de modo de reproducción
+    manager.triggerLoopsUpdate()
+  }
+
   // Call & Response usando el sistema de evolución
-  const applyCallResponse = (loopsToReharmonize) => {
+  const applyCallResponse = (loopsToReharmonize, session = liveSession) => {
+    const { loopManager: manager, notesMatrix: matrix } = session
     if (!Array.isArray(loopsToReharmonize) || loopsToReharmonize.length === 0) return loopsToReharmonize
 
     // Elegir respondedor distinto al anterior
-    const candidates = loopsToReharmonize.filter(l => l.id !== lastResponderId.value)
+    const candidates = loopsToReharmonize.filter(l => l.id !== session.lastResponderId.value)
     const responder = (candidates.length ? candidates : loopsToReharmonize)[0]
-    lastResponderId.value = responder?.id ?? null
+    session.lastResponderId.value = responder?.id ?? null
 
     // Elegir caller entre loops activos distintos del respondedor y del último caller
-    const activeLoops = loopManager.loops.value.filter(loop => loop.isActive && loop.id !== responder?.id)
-    const callerCandidates = activeLoops.filter(l => l.id !== lastCallerId.value)
+    const activeLoops = manager.loops.value.filter(loop => loop.isActive && loop.id !== responder?.id)
+    const callerCandidates = activeLoops.filter(l => l.id !== session.lastCallerId.value)
     const pickCaller = (list) => {
       if (!list.length) return null
 
       const densityForLoop = (loop) => {
         if (!loop) return 0
         try {
-          return notesMatrix.getLoopNoteDensity(loop.id) || 0
+          return matrix.getLoopNoteDensity(loop.id) || 0
         } catch (error) {
           console.warn('No se pudo obtener densidad del loop', loop.id, error)
           return 0
@@ -412,9 +1021,9 @@ export const useAudioStore = defineStore('audio', () => {
       }, null) || list[0]
     }
     const caller = pickCaller(callerCandidates.length ? callerCandidates : activeLoops)
-    lastCallerId.value = caller?.id ?? null
+    session.lastCallerId.value = caller?.id ?? null
 
-    const scale = useScales().getScale(currentScale.value) || useScales().getScale('major')
+    const scale = useScales().getScale(session.scale.value) || useScales().getScale('major')
 
     // Fijar base del respondedor cercana a la del caller si existe, con pequeña variación de octava
     const baseNotes = [36, 48, 60, 72]
@@ -427,13 +1036,16 @@ export const useAudioStore = defineStore('audio', () => {
     // Generar respuesta derivada del caller si existe; en su defecto, generar notas en rango
     let responseNotes
     if (caller) {
-      responseNotes = loopManager.generateResponseFromCall(caller, responder, scale, responder.baseNote)
+      responseNotes = manager.generateResponseFromCall(caller, responder, scale, responder.baseNote)
     } else {
-      responseNotes = loopManager.generateNotesInRange(scale, responder.baseNote, responder.length, 2)
+      responseNotes = manager.generateNotesInRange(scale, responder.baseNote, responder.length, 2, matrix.getLoopNoteRange(responder.id))
     }
 
+    // Evitar choques de la respuesta con los demás loops activos
+    responseNotes = matrix.applyCounterpointToNotes(responder.id, responseNotes)
+
     // Guardar las notas en la matriz centralizada
-    notesMatrix.setLoopNotes(responder.id, responseNotes)
+    matrix.setLoopNotes(responder.id, responseNotes)
 
     return loopsToReharmonize
   }
@@ -457,32 +1069,18 @@ export const useAudioStore = defineStore('audio', () => {
 
       // Seleccionar nueva escala según el modo solo si no está bloqueada
       if (!scaleLocked.value) {
-        switch (evolveMode.value) {
-          case 'momentum':
-            newScale = getRandomScale(currentScale.value)
-            break
-          case 'callResponse':
-            newScale = getRelatedScale(currentScale.value)
-            break
-          case 'tensionRelease':
-            const tensionScale = applyTensionRelease()
-            newScale = tensionScale || getRandomScale(currentScale.value)
-            break
-          default: // classic
-            // Si Call & Response está activado, usar una escala relacionada para mantener coherencia
-            newScale = callResponseEnabled.value
-              ? getRelatedScale(currentScale.value)
-              : getRandomScale(currentScale.value)
-        }
+        newScale = pickEvolutionScale()
 
         // Actualizar historial de escalas solo si cambió
         if (newScale !== oldScale) {
-          recentScales.value.push(newScale)
-          if (recentScales.value.length > 3) {
-            recentScales.value.shift()
-          }
+          rememberScale(liveSession, newScale)
           updateScale(newScale)
         }
+
+        // Modulación ocasional a la subdominante o a la dominante
+        if (Math.random() < evolutionSystem.evolutionIntensity.value * 0.3) {
+          updateRootNote(rootNote.value + (Math.random() < 0.5 ? 5 : 7))
+        }
       }
 
       // Usar el sistema de evolución para evolucionar loops
@@ -493,6 +1091,9 @@ export const useAudioStore = defineStore('audio', () => {
       const isStyleChange = momentumEnabled.value || callResponseEnabled.value || tensionReleaseMode.value
       const evolutionOptions = isStyleChange ? { excludeReverb: true, excludeDelay: true } : {}
 
+      // Con un grupo objetivo solo evolucionan sus loops (la escala sigue siendo global)
+      evolutionOptions.canEvolve = (loop) => loopGroups.isLoopInTarget(loop, loopGroups.evolveGroupId.value)
+
       const evolvedLoops = evolutionSystem.evolveMultipleLoops(loopManager.loops.value, currentScaleIntervals, evolutionOptions)
 
       // Aplicar call & response si está activado
@@ -502,11 +1103,7 @@ export const useAudioStore = defineStore('audio', () => {
       }
 
       // Actualizar loops con las evoluciones
-      evolvedLoops.forEach((evolvedLoop, index) => {
-        if (evolvedLoop !== loopManager.loops.value[index]) {
-          Object.assign(loopManager.loops.value[index], evolvedLoop)
-        }
-      })
+      applyEvolvedLoops(liveSession, evolvedLoops)
 
       // Aplicar gestión de energía después de la evolución
       energyManager.checkAndBalanceEnergy(loopManager.loops.value)
@@ -526,6 +1123,45 @@ export const useAudioStore = defineStore('audio', () => {
     }
   }
 
+  /**
+   * Evolución de un render: los mismos pasos que evolveMusic (escala, tónica, loops y
+   * call & response) sobre la copia aislada del render y de forma síncrona, para que
+   * caiga justo en su compás. No toca la mezcla, el preset ni los contadores en vivo.
+   */
+  const evolveRenderSession = (session) => {
+    const { loopManager: manager, notesMatrix: matrix, evolution } = session
+
+    if (!scaleLocked.value) {
+      const newScale = pickEvolutionScale(session)
+      const intervals = useScales().getScale(newScale)
+      if (newScale !== session.scale.value && intervals) {
+        rememberScale(session, newScale)
+        session.scale.value = newScale
+        matrix.setGlobalScale(newScale)
+        manager.loops.value.forEach(loop => manager.quantizeLoopNotes(loop, intervals, newScale))
+      }
+
+      // Modulación ocasional a la subdominante o a la dominante
+      if (Math.random() < evolution.evolutionIntensity.value * 0.3) {
+        const pitchClass = (session.rootNote.value + (Math.random() < 0.5 ? 5 : 7)) % 12
+        const semitones = getRootShift(session.rootNote.value, pitchClass)
+        session.rootNote.value = pitchClass
+        manager.setGlobalRootNote(manager.getGlobalRootNote() + semitones)
+        manager.transposeAllLoops(semitones)
+      }
+    }
+
+    const evolvedLoops = evolution.evolveMultipleLoops(manager.loops.value, useScales().getScale(session.scale.value), {
+      canEvolve: (loop) => loopGroups.isLoopInTarget(loop, loopGroups.evolveGroupId.value)
+    })
+
+    if (evolveMode.value === 'callResponse' || callResponseEnabled.value) {
+      applyCallResponse(selectRandomLoops(Math.ceil(evolution.evolutionIntensity.value * 5), session), session)
+    }
+
+    applyEvolvedLoops(session, evolvedLoops)
+  }
+
   const checkEvolve = () => {
     if (!autoEvolve.value || !audioEngine.isPlaying.value) return
 
@@ -542,6 +1178,14 @@ export const useAudioStore = defineStore('audio', () => {
     }
   }
 
+  // Tras un start o song position del reloj externo: próxima evolución al inicio de un compás
+  const realignEvolveToBar = () => {
+    if (!autoEvolve.value) return
+    const currentBar = Math.floor(audioEngine.currentPulse.value / 16)
+    nextEvolveMeasure.value = (currentBar + evolutionSystem.evolutionInterval.value) * 16
+    measuresSinceEvolve.value = 0
+  }
+
   const startAutoEvolve = () => {
     if (evolveIntervalId) return
 
@@ -644,6 +1288,324 @@ export const useAudioStore = defineStore('audio', () => {
     notifyPresetChanges()
   }
 
+  // Render offline: recrear loops y efectos dentro de Tone.Offline y programar los mismos pasos
+  const isRendering = ref(false)
+  const RENDER_TAIL_SECONDS = 2 // cola para que delay y reverb se extingan
+
+  const clampExportBars = (bars) => Math.max(1, Math.min(256, Math.round(Number(bars)) || 8))
+
+  // `output`: entrada del bus de grupo offline del loop (null = directo al master del render)
+  const createOfflineChain = (loop, bus, output = null) => {
+    // Copiar la configuración actual del sintetizador sin su contexto en tiempo real
+    const { context, onsilence, ...synthConfig } = loop.synth?.get
+      ? loop.synth.get()
+      : { oscillator: { type: loop.synthType }, envelope: { ...loop.envelope } }
+
+    return audioEngine.createAudioChain(synthConfig, {
+      delayAmount: loop.delayAmount,
+      reverbAmount: loop.reverbAmount,
+      pan: loop.pan,
+      synthType: loop.synthModel,
+      output
+    }, bus)
+  }
+
+  /**
+   * Resolver `totalPulses` pulsos de los loops activos de una sesión de render, paso a
+   * paso igual que la reproducción (modo, probabilidad, groove, armonía). Con `evolve`
+   * la copia evoluciona al terminar cada intervalo de compases, sin esperas. Devuelve
+   * los eventos con posición y duración en semicorcheas desde el primer pulso.
+   */
+  const resolveRenderTimeline = (session, totalPulses, { evolve = false } = {}) => {
+    const { loopManager: manager } = session
+    const evolveEvery = Math.max(1, session.evolution.evolutionInterval.value) * 16
+    const globalGroove = { groove: audioEngine.grooveTemplate.value, swing: audioEngine.swingAmount.value }
+    const events = []
+
+    for (let pulse = 1; pulse <= totalPulses; pulse++) {
+      const harmony = getHarmonyAtPulse(pulse, session)
+      manager.loops.value.forEach(loop => {
+        if (!loop.isActive) return
+        // Posición y duración en semicorcheas: convertir desde los pasos del loop
+        const stepLength = getStepLength(loop.stepRate)
+        getStepsInPulse(loop.stepRate, pulse).forEach(({ index, offset }) => {
+          const beatStep = index % loop.length
+          const step = manager.getPlayStep(loop, index)
+          const event = manager.resolveLoopStep(loop, step, getNoteTransform(loop.id, beatStep, harmony, session),
+            globalGroove, beatStep)
+          if (!event) return
+          events.push({
+            loopId: loop.id,
+            ...event,
+            gain: loop.volume * event.velocity,
+            position: pulse - 1 + offset + event.offsetSteps * stepLength,
+            durationSteps: event.durationSteps * stepLength
+          })
+        })
+      })
+
+      if (evolve && pulse % evolveEvery === 0 && pulse < totalPulses) evolveRenderSession(session)
+    }
+
+    return events
+  }
+
+  /**
+   * Renderizar `bars` compases de los loops activos (o solo `loopIds`).
+   * Lo que suena se resuelve antes sobre una copia del estado (ver resolveRenderTimeline),
+   * así que `evolve` no cambia la sesión en vivo; `events` reutiliza una resolución previa
+   * de los mismos compases. Con `stems` (una lista de ids de loop por stem) cada lista va
+   * a su propio bus (ver audioEngine.renderOffline) y `loopIds` se ignora; los loops de un
+   * mismo grupo comparten su bus de grupo solo si van en el mismo stem. Devuelve un ToneAudioBuffer.
+   */
+  const renderAudio = async ({ bars = 8, evolve = false, loopIds = null, stems = null, events = null } = {}) => {
+    if (!audioEngine.audioInitialized.value) throw new Error('Audio no inicializado')
+    if (isRendering.value) throw new Error('Ya hay un render en curso')
+
+    const totalBars = clampExportBars(bars)
+    const stepSeconds = 60 / audioEngine.tempo.value / 4
+    const timeline = events ?? resolveRenderTimeline(createRenderSession(liveSession), totalBars * 16, { evolve })
+
+    isRendering.value = true
+    try {
+      const duration = totalBars * 16 * stepSeconds + RENDER_TAIL_SECONDS
+      const renderLoopIds = stems ? stems.flat() : loopIds
+      const renderOptions = stems ? { stems: stems.length } : {}
+      return await audioEngine.renderOffline(duration, (transport, buses) => {
+        // Buses de grupo del render: uno por grupo en la mezcla, o por stem y grupo
+        const groupBuses = new Map()
+        const getGroupInput = (loop, bus, busKey) => {
+          const group = loopGroups.getGroup(loop.groupId)
+          if (!group) return null
+          const key = `${busKey}:${group.id}`
+          if (!groupBuses.has(key)) groupBuses.set(key, audioEngine.createGroupBus(group, bus))
+          return groupBuses.get(key).input
+        }
+
+        const chains = {}
+        loopManager.loops.value.forEach(loop => {
+          if (renderLoopIds && !renderLoopIds.includes(loop.id)) return
+          const busIndex = stems ? stems.findIndex(ids => ids.includes(loop.id)) : 0
+          const bus = stems ? buses[busIndex] : buses
+          chains[loop.id] = createOfflineChain(loop, bus, getGroupInput(loop, bus, busIndex))
+        })
+
+        // Solo suenan los loops con cadena en este render; el resto se resolvió igualmente
+        timeline.forEach(event => {
+          const chain = chains[event.loopId]
+          if (!chain) return
+          transport.schedule((time) => {
+            audioEngine.playNote(chain, event.note, event.durationSteps * stepSeconds, event.gain, time)
+          }, Math.max(0, event.position) * stepSeconds)
+        })
+      }, renderOptions)
+    } finally {
+      isRendering.value = false
+    }
+  }
+
+  // Render offline codificado como WAV de 16 o 24 bits
+  const renderToWav = async ({ bars = 8, bitDepth = 16, evolve = false } = {}) => {
+    const buffer = await renderAudio({ bars, evolve })
+    return audioBufferToWav(buffer, bitDepth)
+  }
+
+  /**
+   * Exportar un stem WAV por grupo con loops activos y por loop activo sin grupo, más la
+   * mezcla maestra, en un ZIP con un JSON de sesión. Los loops de un grupo salen juntos
+   * porque su bus (saturación, compresor) no es lineal: así stems y master suenan como
+   * la mezcla en vivo. Los eventos se resuelven una sola vez y cada tanda de
+   * MAX_STEMS_PER_RENDER stems se renderiza con ellos desde el pulso 1, así que todos
+   * comparten probabilidades y evoluciones aunque salgan de pasadas distintas.
+   */
+  const renderStemsZip = async ({ bars = 8, bitDepth = 16, evolve = false, withFx = true } = {}) => {
+    const stemLoops = loopManager.loops.value.filter(loop => loop.isActive)
+    if (stemLoops.length === 0) throw new Error('No hay loops activos para exportar')
+
+    // Configuración de la sesión en vivo (el render evoluciona una copia)
+    const session = {
+      tempo: audioEngine.tempo.value,
+      scale: currentScale.value,
+      rootNote: rootNote.value,
+      bars,
+      startPulse: 1,
+      loops: stemLoops.map(loop => ({
+        id: loop.id,
+        synthModel: loop.synthModel,
+        oscillatorType: loop.synthType,
+        length: loop.length,
+        baseNote: loop.baseNote,
+        volume: loop.volume,
+        pan: loop.pan,
+        delayAmount: loop.delayAmount,
+        reverbAmount: loop.reverbAmount,
+        swing: loop.swing,
+        groove: loop.groove,
+        noteRange: notesMatrix.getLoopNoteRange(loop.id),
+        chordMode: notesMatrix.loopMetadata[loop.id]?.chordMode ?? false
+      })),
+      stems: []
+    }
+
+    stemLoops.forEach(loop => {
+      const group = loopGroups.getGroup(loop.groupId)
+      const stem = group && session.stems.find(candidate => candidate.group?.id === group.id)
+      if (stem) {
+        stem.loopIds.push(loop.id)
+      } else {
+        session.stems.push({ group: group ? { id: group.id, name: group.name } : null, loopIds: [loop.id] })
+      }
+    })
+
+    const events = resolveRenderTimeline(createRenderSession(liveSession), clampExportBars(bars) * 16, { evolve })
+    const buffers = []
+    // Una pasada por tanda, en serie: el render offline es pesado
+    for (let first = 0; first < session.stems.length; first += audioEngine.MAX_STEMS_PER_RENDER) {
+      const batch = session.stems.slice(first, first + audioEngine.MAX_STEMS_PER_RENDER)
+      buffers.push(await renderAudio({ bars, stems: batch.map(stem => stem.loopIds), events }))
+    }
+    return buildStemArchive({ buffers, session, bitDepth, withFx, channelsPerStem: audioEngine.STEM_CHANNELS })
+  }
+
+  /**
+   * Exportar los loops activos como Standard MIDI File (una pista por loop).
+   * Recorre `bars` compases resolviendo cada paso igual que la reproducción
+   * (probabilidad, groove, armonía); con `evolve` la evolución automática se aplica
+   * a su intervalo sobre una copia del estado (ver resolveRenderTimeline). Devuelve un Blob.
+   */
+  const renderToMidi = async ({ bars = 8, evolve = false } = {}) => {
+    if (isRendering.value) throw new Error('Ya hay un render en curso')
+
+    const trackLoops = loopManager.loops.value
+      .filter(loop => loop.isActive)
+      .map(loop => ({ id: loop.id, synthModel: loop.synthModel, volume: loop.volume, pan: loop.pan }))
+    if (trackLoops.length === 0) throw new Error('No hay loops activos para exportar')
+
+    const totalPulses = clampExportBars(bars) * 16
+    const events = resolveRenderTimeline(createRenderSession(liveSession), totalPulses, { evolve })
+
+    return buildMidiFile({ bpm: audioEngine.tempo.value, loops: trackLoops, events })
+  }
+
+  /**
+   * Cargar un clip MIDI (ver midiImportService.extractClipSteps) en un loop.
+   * scaleMode 'quantize' ajusta las alturas a la escala y tónica globales;
+   * 'detect' detecta escala y tónica del clip, las aplica globalmente y conserva las alturas.
+   * La longitud del loop y su baseNote salen del clip; el rango de notas se amplía si hace falta.
+   */
+  const importMidiClip = (loopId, clip, { scaleMode = 'quantize' } = {}) => {
+    const loop = loopManager.getLoop(loopId)
+    if (!loop) throw new Error('Loop no encontrado')
+    if (!clip || clip.lowest === null) throw new Error('El clip no tiene notas en ese rango')
+
+    if (scaleMode === 'detect') {
+      const detected = detectClipScale(clip.notes)
+      if (detected) {
+        updateRootNote(detected.root)
+        updateScale(detected.scale)
+      }
+    }
+
+    const scale = useScales().getScale(currentScale.value)
+    // baseNote: la tónica global más cercana por debajo de la nota más grave del clip.
+    // El rango se amplía un semitono a cada lado por si la cuantización redondea hacia fuera
+    const baseNote = clip.lowest - (((clip.lowest - rootNote.value) % 12) + 12) % 12
+    const notes = scaleMode === 'detect'
+      ? clip.notes
+      : clip.notes.map(note => useNoteUtils().quantizeToScale(note, scale, baseNote, { min: 0, max: 127 }))
+
+    const range = notesMatrix.getLoopNoteRange(loopId)
+    notesMatrix.setLoopNoteRange(loopId, Math.min(range.min, clip.lowest - 1), Math.max(range.max, clip.highest + 1))
+    notesMatrix.updateLoopMetadata(loopId, { baseNote, scale: currentScale.value, chordMode: false })
+    notesMatrix.setLoopNotes(loopId, notes, clip.lanes)
+
+    loop.baseNote = baseNote
+    loop.length = notesMatrix.loopMetadata[loopId].length
+    loopManager.triggerLoopsUpdate()
+    notifyPresetChanges()
+    return { scale: currentScale.value, rootNote: rootNote.value, length: loop.length, baseNote }
+  }
+
+  // Salida MIDI por loop
+  const enableMidiOutput = async () => {
+    return midiOutput.enableWebMidi()
+  }
+
+  // route: { portId, channel (0-15), muteInternal }; portId null desconecta el loop
+  const setLoopMidiRoute = (loopId, route) => {
+    const loop = loopManager.getLoop(loopId)
+    if (!loop) return null
+    const updated = midiOutput.setLoopRoute(loopId, route)
+    if (updated) midiOutput.sendLoopMix(loopId, { volume: loop.volume, pan: loop.pan })
+    return updated
+  }
+
+  // Entrada MIDI: aplicar un control asignado con MIDI-learn (value 0-1)
+  const applyMidiControl = (target, { value, triggered }) => {
+    if (!audioEngine.audioInitialized.value) return
+    // Las asignaciones se conservan aunque su loop se haya borrado
+    if (target.loopId !== undefined && target.loopId !== null && !loopManager.getLoop(target.loopId)) return
+
+    switch (target.action) {
+      case 'toggleLoop':
+        if (triggered) toggleLoop(target.loopId)
+        break
+      case 'muteLoop':
+        if (triggered) toggleLoopMute(target.loopId)
+        break
+      case 'soloLoop':
+        if (triggered) toggleLoopSolo(target.loopId)
+        break
+      case 'regenerateLoop':
+        if (triggered) regenerateLoop(target.loopId)
+        break
+      case 'evolve':
+        if (triggered) evolveMusic()
+        break
+      case 'loopParam': {
+        if (target.param === 'length') {
+          const index = Math.min(MIDI_LOOP_LENGTHS.length - 1, Math.floor(value * MIDI_LOOP_LENGTHS.length))
+          if (loopManager.getLoop(target.loopId).length !== MIDI_LOOP_LENGTHS[index]) {
+            updateLoopParam(target.loopId, 'length', MIDI_LOOP_LENGTHS[index])
+          }
+        } else {
+          updateLoopParam(target.loopId, target.param, target.param === 'pan' ? value * 2 - 1 : value)
+        }
+        break
+      }
+      case 'tempo':
+        updateTempo(Math.round(10 + value * 170)) // mismo rango que el slider de la cabecera
+        break
+      case 'masterVolume':
+        updateMasterVolume(Math.round(value * 100))
+        break
+      case 'scale': {
+        const names = Object.keys(useScales().scales)
+        const name = names[Math.min(names.length - 1, Math.floor(value * names.length))]
+        if (name !== currentScale.value) updateScale(name)
+        break
+      }
+    }
+  }
+  midiInput.setControlHandler(applyMidiControl)
+
+  /**
+   * Sincronización de reloj MIDI.
+   * mode 'internal' | 'external' (portId = entrada MIDI, o `input` = cualquier fuente de reloj) |
+   * 'master' (portId = salida MIDI que recibe el reloj).
+   */
+  const setClockSync = ({ mode = 'internal', portId = null, input = null } = {}) => {
+    if (mode === 'external') {
+      const source = input || midiInput.getInput(portId)
+      if (!source) throw new Error('Entrada MIDI de reloj no disponible')
+      midiClock.setMode('external', { input: source })
+    } else if (mode === 'master') {
+      midiClock.setMode('master', { port: portId })
+    } else {
+      midiClock.setMode('internal')
+    }
+  }
+
   // Wrappers for energy management functions to notify preset changes
   const updateEnergyManagementWrapper = (enabled) => {
     energyManager.updateEnergyManagement(enabled)
@@ -673,12 +1635,31 @@ export const useAudioStore = defineStore('audio', () => {
     masterVol: audioEngine.masterVol,
     masterVolume: audioEngine.masterVolume,
     delayDivision: audioEngine.delayDivision,
+    swingAmount: audioEngine.swingAmount,
+    grooveTemplate: audioEngine.grooveTemplate,
+
+    // Línea de tiempo armónica
+    harmonyEnabled: harmonicTimeline.enabled,
+    harmonyProgression: harmonicTimeline.progressionName,
+    harmonyBarsPerChord: harmonicTimeline.barsPerChord,
+    harmonyMode: harmonicTimeline.mode,
+    harmonySevenths: harmonicTimeline.useSevenths,
+    currentChordLabel,
+
+    // Render offline
+    isRendering,
 
     // Estado de loops
     loops: loopManager.loops,
+    maxLoops: loopManager.maxLoops,
+    loopCapacity: loopManager.loopCapacity,
+    canAddLoop: loopManager.canAddLoop,
+    getLoop: loopManager.getLoop,
+    getPlayhead: loopManager.getPlayhead,
 
     // Estado de escalas
     currentScale,
+    rootNote,
     scales,
     scaleNames: computed(() => {
       const { scaleNames } = useScales()
@@ -703,21 +1684,129 @@ export const useAudioStore = defineStore('audio', () => {
     energyManagementEnabled: energyManager.energyManagementEnabled,
     maxSonicEnergy: energyManager.maxSonicEnergy,
     energyReductionFactor: energyManager.energyReductionFactor,
+    countSilencedLoops: energyManager.countSilencedLoops,
 
     // Funciones principales
     initAudio,
     togglePlay,
     toggleLoop,
     setLoopActive,
+    addLoop,
+    removeLoop,
+    setMaxLoops,
+    syncLoopIds,
+    setLoopMuted,
+    setLoopSolo,
+    toggleLoopMute,
+    toggleLoopSolo,
+    clearSolos,
+    isLoopAudible,
+    hasSolo,
     updateLoopParam,
     updateLoopSynth,
     regenerateLoop,
     regenerateAllLoops,
+    setLoopChordMode,
+    setHarmonicTimelineEnabled,
+    updateHarmonicTimeline,
     applySparseDistribution,
     updateTempo,
     updateMasterVolume,
     updateScale,
+    updateRootNote,
     updateDelayDivision,
+    updateSwing,
+    updateGrooveTemplate,
+    renderAudio,
+    renderToWav,
+    renderStemsZip,
+    renderToMidi,
+    importMidiClip,
+
+    // Salida MIDI
+    midiOutputEnabled: midiOutput.webMidiEnabled,
+    midiOutputs: midiOutput.availableOutputs,
+    midiRoutes: midiOutput.routes,
+    enableMidiOutput,
+    setLoopMidiRoute,
+    registerMidiOutput: midiOutput.registerOutput,
+    unregisterMidiOutput: midiOutput.unregisterOutput,
+
+    // Entrada MIDI y MIDI-learn
+    midiInputEnabled: midiInput.webMidiEnabled,
+    midiInputs: midiInput.connectedInputs,
+    midiLearnMode: midiInput.learnMode,
+    midiLearnTarget: midiInput.learnTarget,
+    midiBindings: midiInput.bindings,
+    enableMidiInput: midiInput.enableWebMidi,
+    connectMidiInput: midiInput.connectInput,
+    disconnectMidiInput: midiInput.disconnectInput,
+    setMidiLearnMode: midiInput.setLearnMode,
+    startMidiLearn: midiInput.startLearn,
+    cancelMidiLearn: midiInput.cancelLearn,
+    getMidiBinding: midiInput.getBinding,
+    removeMidiBinding: midiInput.removeBinding,
+    clearMidiBindings: midiInput.clearBindings,
+
+    // Cuantización de lanzamiento
+    launchQuantize: launchQueue.launchQuantize,
+    pendingLaunches: launchQueue.pending,
+    setLaunchQuantize,
+    isLaunchPending,
+    schedulePresetLaunch,
+
+    // Escenas
+    scenes: sceneManager.scenes,
+    activeSceneId: sceneManager.activeSceneId,
+    pendingSceneId: sceneManager.pendingSceneId,
+    saveScene,
+    overwriteScene,
+    renameScene,
+    deleteScene,
+    applyScene,
+    launchScene,
+    exportScenes: sceneManager.exportScenes,
+    importScenes: sceneManager.importScenes,
+
+    // Grupos de loops
+    loopGroups: loopGroups.groups,
+    evolveGroupId: loopGroups.evolveGroupId,
+    energyGroupId: loopGroups.energyGroupId,
+    setLoopGroup,
+    addLoopGroup,
+    updateLoopGroup,
+    deleteLoopGroup,
+    setEvolveGroup,
+    setEnergyGroup,
+    exportLoopGroups: loopGroups.exportGroups,
+    importLoopGroups,
+
+    // Modo canción
+    arrangementEnabled: arrangement.enabled,
+    arrangementSections: arrangement.sections,
+    arrangementLoop: arrangement.loopMarker,
+    arrangementStop: arrangement.stopMarker,
+    arrangementIndex: arrangement.currentIndex,
+    arrangementBar: arrangement.currentBar,
+    arrangementTotalBars: arrangement.totalBars,
+    setArrangementEnabled,
+    jumpToArrangementSection,
+    addArrangementSection,
+    updateArrangementSection,
+    removeArrangementSection,
+    moveArrangementSection,
+    setArrangementLoop,
+    setArrangementStop,
+    exportArrangement: arrangement.exportArrangement,
+    importArrangement,
+
+    // Reloj MIDI
+    clockMode: midiClock.mode,
+    clockPortId: midiClock.portId,
+    externalClockBpm: midiClock.externalBpm,
+    externalClockRunning: midiClock.externalRunning,
+    externalClock: audioEngine.externalClock,
+    setClockSync,
 
     // Funciones de evolución automática
     startAutoEvolve,
@@ -753,6 +1842,7 @@ export const useAudioStore = defineStore('audio', () => {
     updateEnergyManagement: updateEnergyManagementWrapper,
     updateMaxSonicEnergy: updateMaxSonicEnergyWrapper,
     updateEnergyReductionFactor: updateEnergyReductionFactorWrapper,
+    updateCountSilencedLoops,
 
     // Funciones de matriz de notas centralizada
     notesMatrix: notesMatrix.notesMatrix,
@@ -763,6 +1853,9 @@ export const useAudioStore = defineStore('audio', () => {
     deactivateLoop: notesMatrix.deactivateLoop,
     updateLoopMetadata: notesMatrix.updateLoopMetadata,
     getLoopNotes: notesMatrix.getLoopNotes,
+    getLoopLanes: notesMatrix.getLoopLanes,
+    setLoopLanes: notesMatrix.setLoopLanes,
+    setStepLane: notesMatrix.setStepLane,
     setLoopNote: notesMatrix.setLoopNote,
     clearLoopNote: notesMatrix.clearLoopNote,
     generateRandomNotes: notesMatrix.generateLoopNotes,
@@ -0,0 +1,249 @@
+import { ref, computed } from 'vue'
+
+export const PULSES_PER_BAR = 16
+export const MAX_SECTION_BARS = 64
+
+const generateSectionId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+
+const clampBars = (bars) => {
+  const value = Math.round(Number(bars))
+  return Math.max(1, Math.min(MAX_SECTION_BARS, Number.isFinite(value) ? value : 8))
+}
+
+/**
+ * Sección del arreglo. Los campos null dejan el valor que hubiera:
+ * - sceneId: escena a aplicar al entrar; si no hay, activeLoops (ids) fija qué loops suenan.
+ * - scale/rootNote/tempo: escala, tónica (0-11) y BPM globales.
+ * - evolve: evolución automática on/off; evolveIntensity en la escala de la UI (1-10).
+ */
+export const createSection = (overrides = {}) => ({
+  id: overrides.id || generateSectionId(),
+  name: overrides.name || 'Sección',
+  bars: clampBars(overrides.bars ?? 8),
+  sceneId: overrides.sceneId ?? null,
+  activeLoops: Array.isArray(overrides.activeLoops) ? [...overrides.activeLoops] : null,
+  scale: overrides.scale ?? null,
+  rootNote: overrides.rootNote ?? null,
+  tempo: overrides.tempo ?? null,
+  evolve: typeof overrides.evolve === 'boolean' ? overrides.evolve : null,
+  evolveIntensity: overrides.evolveIntensity ?? null
+})
+
+/**
+ * Modo canción: una lista ordenada de secciones que avanza con el pulso del
+ * transporte. processPulse(pulse) se llama en cada pulso antes de reproducirlo y
+ * devuelve el evento que toca aplicar: { type: 'section', index, section } al entrar
+ * en una sección o { type: 'end' } al terminar. El store aplica los cambios.
+ * Marcadores: un bucle entre dos secciones (inclusive) y una sección tras la que parar.
+ */
+export const useArrangement = () => {
+  const enabled = ref(false)
+  const sections = ref([])
+  const loopMarker = ref({ enabled: false, start: 0, end: 0 })
+  const stopMarker = ref(null) // índice de la sección tras la que se para (null = al final)
+  const currentIndex = ref(-1) // -1: sin sección en curso
+  const currentBar = ref(0) // compás dentro de la sección actual (desde 0)
+
+  let sectionStartPulse = 0
+  let pendingEntry = null // { index, pulse }: entrada programada (inicio o salto)
+
+  const totalBars = computed(() => sections.value.reduce((sum, section) => sum + section.bars, 0))
+  const currentSection = computed(() => sections.value[currentIndex.value] ?? null)
+
+  // ---- Edición ----
+
+  const addSection = (section = {}, index = sections.value.length) => {
+    const created = createSection(section)
+    const list = [...sections.value]
+    list.splice(Math.max(0, Math.min(list.length, index)), 0, created)
+    sections.value = list
+    return created
+  }
+
+  const updateSection = (sectionId, updates) => {
+    sections.value = sections.value.map(section => (
+      section.id === sectionId ? createSection({ ...section, ...updates, id: section.id }) : section
+    ))
+  }
+
+  const removeSection = (sectionId) => {
+    const index = sections.value.findIndex(section => section.id === sectionId)
+    if (index === -1) return
+    sections.value = sections.value.filter(section => section.id !== sectionId)
+    // Si se borra la sección en curso, la que ocupa su lugar continúa desde el mismo compás
+    if (index < currentIndex.value) currentIndex.value--
+    else if (index === currentIndex.value) currentIndex.value = Math.min(index, sections.value.length - 1)
+    clampMarkers()
+  }
+
+  // Quitar un loop borrado de las listas de loops activos de las secciones
+  const forgetLoop = (loopId) => {
+    sections.value = sections.value.map(section => (
+      Array.isArray(section.activeLoops) && section.activeLoops.includes(loopId)
+        ? { ...section, activeLoops: section.activeLoops.filter(id => id !== loopId) }
+        : section
+    ))
+  }
+
+  // Desplazar una sección `offset` posiciones (los marcadores se quedan en sus índices)
+  const moveSection = (sectionId, offset) => {
+    const from = sections.value.findIndex(section => section.id === sectionId)
+    const to = from + offset
+    if (from === -1 || to < 0 || to >= sections.value.length) return
+    const list = [...sections.value]
+    const [moved] = list.splice(from, 1)
+    list.splice(to, 0, moved)
+    sections.value = list
+    if (currentIndex.value === from) currentIndex.value = to
+    else if (currentIndex.value === to) currentIndex.value = from
+  }
+
+  const clampIndex = (index) => Math.max(0, Math.min(sections.value.length - 1, Math.round(Number(index) || 0)))
+
+  const clampMarkers = () => {
+    if (sections.value.length === 0) {
+      loopMarker.value = { enabled: false, start: 0, end: 0 }
+      stopMarker.value = null
+      return
+    }
+    const start = clampIndex(loopMarker.value.start)
+    loopMarker.value = { ...loopMarker.value, start, end: Math.max(start, clampIndex(loopMarker.value.end)) }
+    if (stopMarker.value !== null) stopMarker.value = clampIndex(stopMarker.value)
+  }
+
+  const setLoopMarker = ({ enabled: loopEnabled, start, end } = {}) => {
+    loopMarker.value = {
+      enabled: loopEnabled !== undefined ? Boolean(loopEnabled) : loopMarker.value.enabled,
+      start: start !== undefined ? start : loopMarker.value.start,
+      end: end !== undefined ? end : loopMarker.value.end
+    }
+    clampMarkers()
+  }
+
+  const setStopMarker = (index) => {
+    stopMarker.value = index === null || index === undefined ? null : clampIndex(index)
+  }
+
+  // ---- Reproducción ----
+
+  const setEnabled = (value) => {
+    enabled.value = Boolean(value)
+    if (!enabled.value) stop()
+  }
+
+  // Entrar en la sección `index` al llegar a `pulse` (el store lo alinea al compás)
+  const jumpTo = (index, pulse) => {
+    pendingEntry = { index, pulse }
+  }
+
+  const start = (pulse) => jumpTo(0, pulse)
+
+  const stop = () => {
+    pendingEntry = null
+    currentIndex.value = -1
+    currentBar.value = 0
+  }
+
+  const enterSection = (index, pulse) => {
+    const section = sections.value[index]
+    if (!section) {
+      stop()
+      return { type: 'end' }
+    }
+    sectionStartPulse = pulse
+    currentIndex.value = index
+    currentBar.value = 0
+    return { type: 'section', index, section }
+  }
+
+  // Siguiente sección tras `index`: vuelta al inicio del bucle, parada o la siguiente (null = fin)
+  const getNextIndex = (index) => {
+    const { enabled: loopEnabled, start: loopStart, end: loopEnd } = loopMarker.value
+    if (loopEnabled && index === loopEnd && loopStart <= loopEnd) return loopStart
+    if (stopMarker.value === index) return null
+    return index + 1 < sections.value.length ? index + 1 : null
+  }
+
+  const processPulse = (pulse) => {
+    if (!enabled.value) return null
+
+    if (pendingEntry) {
+      if (pulse < pendingEntry.pulse) return null
+      const { index } = pendingEntry
+      pendingEntry = null
+      return enterSection(index, pulse)
+    }
+
+    const section = currentSection.value
+    if (!section) return null
+
+    // Posición reiniciada hacia atrás (song position del reloj externo): volver a empezar
+    if (pulse < sectionStartPulse) return enterSection(0, pulse)
+
+    const elapsed = pulse - sectionStartPulse
+    if (elapsed < section.bars * PULSES_PER_BAR) {
+      // Solo tocar el ref al cambiar de compás para no disparar reactividad en cada pulso
+      const bar = Math.floor(elapsed / PULSES_PER_BAR)
+      if (currentBar.value !== bar) currentBar.value = bar
+      return null
+    }
+
+    const next = getNextIndex(currentIndex.value)
+    if (next === null) {
+      stop()
+      return { type: 'end' }
+    }
+    return enterSection(next, pulse)
+  }
+
+  // ---- Presets ----
+
+  const exportArrangement = () => ({
+    enabled: enabled.value,
+    sections: JSON.parse(JSON.stringify(sections.value)),
+    loopMarker: { ...loopMarker.value },
+    stopMarker: stopMarker.value
+  })
+
+  // Reemplazar el arreglo (null lo vacía); la reproducción se detiene
+  const importArrangement = (data) => {
+    stop()
+    sections.value = Array.isArray(data?.sections) ? data.sections.map(createSection) : []
+    loopMarker.value = { enabled: false, start: 0, end: 0, ...(data?.loopMarker || {}) }
+    stopMarker.value = data?.stopMarker ?? null
+    clampMarkers()
+    enabled.value = Boolean(data?.enabled) && sections.value.length > 0
+  }
+
+  return {
+    // Estado
+    enabled,
+    sections,
+    loopMarker,
+    stopMarker,
+    currentIndex,
+    currentBar,
+    currentSection,
+    totalBars,
+
+    // Edición
+    addSection,
+    updateSection,
+    removeSection,
+    moveSection,
+    forgetLoop,
+    setLoopMarker,
+    setStopMarker,
+
+    // Reproducción
+    setEnabled,
+    start,
+    stop,
+    jumpTo,
+    processPulse,
+
+    // Presets
+    exportArrangement,
+    importArrangement
+  }
+}
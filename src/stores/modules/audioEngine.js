@@ -1,5 +1,6 @@
 import { ref, markRaw, computed } from 'vue'
 import * as Tone from 'tone'
+import { DEFAULT_GROOVE, GROOVE_TEMPLATES } from '../../utils/grooveTemplates'
 
 /**
  * Motor de audio principal que maneja la inicialización de Tone.js,
@@ -18,15 +19,27 @@ export const useAudioEngine = () => {
   const beatFlash = ref(false) // Simple toggle for tempo indicator
 
   const tempo = ref(120)
+  // Con reloj externo los pulsos llegan desde fuera (ver midiClock) y Tone.Transport no corre
+  const externalClock = ref(false)
   const masterVol = ref(0.7)
   const delayDivision = ref('8n')
 
+  // Groove global: swing de los pasos impares (0-1) y plantilla con nombre
+  const swingAmount = ref(0)
+  const grooveTemplate = ref(DEFAULT_GROOVE)
+
   // Referencias de audio globales
   let delay = null
   let reverb = null
   let masterGain = null
   let _feedbackResetTimer = null
 
+  // Render de stems: 4 canales por stem (seco L/R + retorno de efectos L/R);
+  // OfflineAudioContext admite 32 canales como mínimo, es decir 8 stems por pasada
+  // (con más loops, renderStemsZip reparte los stems en varias pasadas)
+  const STEM_CHANNELS = 4
+  const MAX_STEMS_PER_RENDER = 8
+
   // Configuración de debug
   const DEBUG_AUDIO = false
   const BYPASS_EFFECTS_FOR_TEST = false
@@ -52,6 +65,38 @@ export const useAudioEngine = () => {
     }
   }
 
+  // Crear ganancia maestra, delay y reverb globales en el contexto de Tone activo
+  // (el contexto en tiempo real o el de un render offline).
+  // Con `dryOutput`/`wetOutput` la señal seca y el retorno de efectos salen por nodos separados.
+  const createEffectsBus = ({ dryOutput = null, wetOutput = null } = {}) => {
+    const masterGain = markRaw(new Tone.Gain(masterVol.value))
+    if (dryOutput) {
+      masterGain.connect(dryOutput)
+    } else {
+      masterGain.toDestination()
+    }
+    const wetGain = wetOutput ? markRaw(new Tone.Gain(masterVol.value).connect(wetOutput)) : masterGain
+
+    const bus = { masterGain, delay: null, reverb: null }
+    if (!BYPASS_EFFECTS_FOR_TEST) {
+      bus.delay = markRaw(new Tone.PingPongDelay(delayDivision.value, 0.4).connect(wetGain))
+      bus.reverb = markRaw(new Tone.Reverb({ decay: 2.5, wet: 0.5 }).connect(wetGain))
+    }
+
+    return bus
+  }
+
+  // Bus propio de un stem: canales [seco L, seco R, efectos L, efectos R] a partir de `firstChannel`
+  const createStemBus = (merge, firstChannel) => {
+    const routeStereo = (channel) => {
+      const split = markRaw(new Tone.Split(2))
+      split.connect(merge, 0, channel)
+      split.connect(merge, 1, channel + 1)
+      return split
+    }
+    return createEffectsBus({ dryOutput: routeStereo(firstChannel), wetOutput: routeStereo(firstChannel + 2) })
+  }
+
   // Inicializar el motor de audio
   const initAudio = async () => {
 
@@ -62,12 +107,12 @@ export const useAudioEngine = () => {
     await Tone.start()
 
     // Crear cadena de efectos globales
-    masterGain = markRaw(new Tone.Gain(masterVol.value).toDestination())
-
-    if (!BYPASS_EFFECTS_FOR_TEST) {
-      delay = markRaw(new Tone.PingPongDelay(delayDivision.value, 0.4).connect(masterGain))
-      reverb = markRaw(new Tone.Reverb({ decay: 2.5, wet: 0.5 }).connect(masterGain))
+    const bus = createEffectsBus()
+    masterGain = bus.masterGain
+    delay = bus.delay
+    reverb = bus.reverb
 
+    if (reverb) {
       // OPTIMIZATION: Generate reverb in background to avoid blocking initialization
       // Allow playback to start immediately with dry reverb
       reverb.generate().catch(err => {
@@ -82,20 +127,27 @@ export const useAudioEngine = () => {
     audioInitialized.value = true
   }
 
+  // Avanzar un pulso (semicorchea) y llamar al callback de reproducción
+  let _pulseCallback = null
+  const advancePulse = (time) => {
+    _internalPulse = _internalPulse + 1
+
+    // Update reactive ref every 4 pulses (quarter note / beat) for tempo indicator
+    if (_internalPulse % 4 === 0) {
+      currentPulse.value = _internalPulse
+      beatFlash.value = !beatFlash.value // Toggle flash on each beat
+    }
+
+    if (_pulseCallback) _pulseCallback(time, _internalPulse)
+  }
+
   // Configurar el callback del transporte
   const setupTransportCallback = (callback) => {
     if (!audioInitialized.value) return
 
+    _pulseCallback = callback
     Tone.Transport.scheduleRepeat((time) => {
-      _internalPulse = _internalPulse + 1
-
-      // Update reactive ref every 4 pulses (quarter note / beat) for tempo indicator
-      if (_internalPulse % 4 === 0) {
-        currentPulse.value = _internalPulse
-        beatFlash.value = !beatFlash.value // Toggle flash on each beat
-      }
-
-      callback(time, _internalPulse)
+      if (!externalClock.value) advancePulse(time)
     }, "16n")
   }
 
@@ -103,6 +155,8 @@ export const useAudioEngine = () => {
   const startTransport = async () => {
     if (!isPlaying.value) {
       await initAudio()
+      // Con reloj externo la reproducción la arrancan sus mensajes start/continue
+      if (externalClock.value) return
       Tone.Transport.start()
       isPlaying.value = true
     }
@@ -110,11 +164,49 @@ export const useAudioEngine = () => {
 
   const stopTransport = () => {
     if (isPlaying.value) {
-      Tone.Transport.pause()
+      if (!externalClock.value) Tone.Transport.pause()
       isPlaying.value = false
     }
   }
 
+  // Reloj externo: activar/desactivar (para el transporte interno si estaba sonando)
+  const setExternalClock = (enabled) => {
+    const next = Boolean(enabled)
+    if (next === externalClock.value) return
+    stopTransport()
+    externalClock.value = next
+  }
+
+  // Pulso recibido del reloj externo en `time` (segundos del AudioContext)
+  const externalPulse = (time) => {
+    if (!externalClock.value || !isPlaying.value) return
+    advancePulse(Math.max(time, Tone.getContext().rawContext.currentTime))
+  }
+
+  // Último pulso reproducido (el ref currentPulse solo se actualiza cada negra)
+  const getPulse = () => _internalPulse
+
+  const setExternalPlaying = (playing) => {
+    if (externalClock.value) isPlaying.value = Boolean(playing)
+  }
+
+  // Reposicionar el contador de pulsos (start o song position externos); el siguiente pulso será `pulse + 1`
+  const resetPulse = (pulse = 0) => {
+    _internalPulse = Math.max(0, Math.round(pulse))
+    currentPulse.value = _internalPulse
+  }
+
+  // Seguir el tempo del reloj externo sin los efectos secundarios de updateTempo
+  const followExternalTempo = (bpm) => {
+    if (!audioInitialized.value || !Number.isFinite(bpm) || bpm <= 0) return
+    Tone.Transport.bpm.value = bpm
+    const rounded = Math.round(bpm)
+    if (rounded !== tempo.value) {
+      tempo.value = rounded
+      updateDelayTime()
+    }
+  }
+
   const togglePlay = async () => {
     if (isPlaying.value) {
       stopTransport()
@@ -151,6 +243,34 @@ export const useAudioEngine = () => {
     softResetDelayFeedback()
   }
 
+  const updateSwing = (amount) => {
+    const value = Number(amount)
+    swingAmount.value = Math.max(0, Math.min(1, Number.isFinite(value) ? value : 0))
+  }
+
+  const updateGrooveTemplate = (name) => {
+    grooveTemplate.value = GROOVE_TEMPLATES[name] ? name : DEFAULT_GROOVE
+  }
+
+  // Duración de un paso (semicorchea) en segundos al tempo actual
+  const getStepDuration = () => Tone.Time('16n').toSeconds()
+
+  // Convertir un tiempo del AudioContext a milisegundos de performance.now() (marcas de tiempo de Web MIDI)
+  const toPerformanceTime = (time) => {
+    const context = Tone.getContext().rawContext
+    const stamp = typeof context.getOutputTimestamp === 'function' ? context.getOutputTimestamp() : null
+    if (stamp?.performanceTime) return stamp.performanceTime + (time - stamp.contextTime) * 1000
+    return performance.now() + (time - context.currentTime) * 1000
+  }
+
+  // Inverso de toPerformanceTime: milisegundos de performance.now() a segundos del AudioContext
+  const fromPerformanceTime = (timestamp) => {
+    const context = Tone.getContext().rawContext
+    const stamp = typeof context.getOutputTimestamp === 'function' ? context.getOutputTimestamp() : null
+    if (stamp?.performanceTime) return stamp.contextTime + (timestamp - stamp.performanceTime) / 1000
+    return context.currentTime + (timestamp - performance.now()) / 1000
+  }
+
   // Computed properties
   const masterVolume = computed(() => Math.round(masterVol.value * 100))
 
@@ -163,16 +283,21 @@ export const useAudioEngine = () => {
   })
 
   // Crear conexiones de audio para un sintetizador
-  const createAudioChain = (synthConfig, effectsConfig = {}) => {
+  // `bus` permite conectar la cadena a los efectos de un render offline en lugar de los globales
+  // `effectsConfig.output` sustituye al master como destino de la señal seca (p. ej. la entrada de un grupo)
+  const createAudioChain = (synthConfig, effectsConfig = {}, bus = null) => {
     if (!audioInitialized.value) {
       throw new Error('Motor de audio no inicializado')
     }
 
+    const target = bus || { masterGain, delay, reverb }
+
     const {
       delayAmount = 0.2,
       reverbAmount = 0.3,
       pan = 0,
-      synthType = 'PolySynth'
+      synthType = 'PolySynth',
+      output = null
     } = effectsConfig
 
     // Crear sintetizador según el tipo
@@ -205,19 +330,19 @@ export const useAudioEngine = () => {
 
     // Conectar cadena de audio
     if (BYPASS_EFFECTS_FOR_TEST) {
-      synth.connect(masterGain)
+      synth.connect(output || target.masterGain)
     } else {
       synth.connect(panner)
       synth.connect(delaySend)
       synth.connect(reverbSend)
 
-      if (masterGain) {
-        panner.connect(masterGain)
+      if (output || target.masterGain) {
+        panner.connect(output || target.masterGain)
       } else {
         panner.toDestination()
       }
-      if (delay) delaySend.connect(delay)
-      if (reverb) reverbSend.connect(reverb)
+      if (target.delay) delaySend.connect(target.delay)
+      if (target.reverb) reverbSend.connect(target.reverb)
     }
 
     return {
@@ -228,12 +353,89 @@ export const useAudioEngine = () => {
     }
   }
 
+  /**
+   * Bus de grupo: entrada → filtro → saturación → compresor → ganancia del grupo → master,
+   * con envíos propios a delay y reverb desde la salida. `bus` como en createAudioChain.
+   * Ajustes (ver updateGroupBus): gain, delaySend, reverbSend, filterType, filterFrequency, drive, compression.
+   */
+  const createGroupBus = (settings = {}, bus = null) => {
+    const target = bus || { masterGain, delay, reverb }
+
+    const groupBus = {
+      input: markRaw(new Tone.Gain(1)),
+      filter: markRaw(new Tone.Filter(20000, 'lowpass')),
+      distortion: markRaw(new Tone.Distortion(0)),
+      compressor: markRaw(new Tone.Compressor(0, 1)),
+      output: markRaw(new Tone.Gain(1)),
+      delaySend: markRaw(new Tone.Gain(0)),
+      reverbSend: markRaw(new Tone.Gain(0))
+    }
+
+    groupBus.input.chain(groupBus.filter, groupBus.distortion, groupBus.compressor, groupBus.output)
+    if (target.masterGain) {
+      groupBus.output.connect(target.masterGain)
+    } else {
+      groupBus.output.toDestination()
+    }
+    groupBus.output.connect(groupBus.delaySend)
+    groupBus.output.connect(groupBus.reverbSend)
+    if (target.delay) groupBus.delaySend.connect(target.delay)
+    if (target.reverb) groupBus.reverbSend.connect(target.reverb)
+
+    updateGroupBus(groupBus, settings)
+    return groupBus
+  }
+
+  // Aplicar los ajustes de un grupo a su bus; con valores neutros los inserts no colorean la señal
+  const updateGroupBus = (groupBus, settings = {}) => {
+    if (!groupBus) return
+    const {
+      gain = 1,
+      delaySend = 0,
+      reverbSend = 0,
+      filterType = 'off',
+      filterFrequency = 20000,
+      drive = 0,
+      compression = 0
+    } = settings
+
+    groupBus.output.gain.value = gain
+    groupBus.delaySend.gain.value = delaySend
+    groupBus.reverbSend.gain.value = reverbSend
+    groupBus.filter.type = filterType === 'highpass' ? 'highpass' : 'lowpass'
+    groupBus.filter.frequency.value = filterType === 'off' ? 20000 : filterFrequency
+    groupBus.distortion.distortion = drive
+    groupBus.distortion.wet.value = drive > 0 ? 1 : 0
+    groupBus.compressor.threshold.value = -30 * compression
+    groupBus.compressor.ratio.value = 1 + 7 * compression
+  }
+
+  const disposeGroupBus = (groupBus) => {
+    if (!groupBus) return
+    Object.values(groupBus).forEach(node => {
+      node.disconnect()
+      node.dispose()
+    })
+  }
+
+  // Reconectar la señal seca de un loop (su panner) a un bus de grupo o, sin grupo, al master
+  const routeAudioChain = (chain, groupBus = null) => {
+    const source = chain?.panner || chain?.synth
+    if (!source || !masterGain) return
+    // Sin panner (efectos desactivados) el synth solo va al master
+    source.disconnect()
+    source.connect(groupBus?.input || masterGain)
+  }
+
   // Reproducir una nota individual
   const playNote = (audioChain, midiNote, duration = '16n', velocity = 1, time = undefined) => {
     const { synth } = audioChain
 
-    // Calcular frecuencia
-    const freq = Tone.Frequency(midiNote, 'midi').toFrequency()
+    // Calcular frecuencia (un acorde es un array de notas; los synths monofónicos tocan la más grave)
+    const notes = Array.isArray(midiNote) ? midiNote : [midiNote]
+    const playable = synth instanceof Tone.PolySynth ? notes : notes.slice(0, 1)
+    const freqs = playable.map(note => Tone.Frequency(note, 'midi').toFrequency())
+    const freq = freqs.length === 1 ? freqs[0] : freqs
     const safeVelocity = velocity
     const useTime = time
 
@@ -241,6 +443,43 @@ export const useAudioEngine = () => {
     synth.triggerAttackRelease(freq, duration, useTime, safeVelocity)
   }
 
+  /**
+   * Renderizar `duration` segundos sin tiempo real con Tone.Offline.
+   * `schedule(transport, bus)` crea las cadenas de audio sobre el bus offline
+   * y programa los eventos; el transporte arranca en 0 al terminar.
+   * Con `stems > 0` cada stem recibe su propio bus (y `schedule` un array de buses)
+   * y el buffer tiene STEM_CHANNELS canales por stem, todos alineados a la muestra.
+   * Devuelve un ToneAudioBuffer.
+   */
+  const renderOffline = async (duration, schedule, { stems = 0 } = {}) => {
+    if (!audioInitialized.value) {
+      throw new Error('Motor de audio no inicializado')
+    }
+    if (stems > MAX_STEMS_PER_RENDER) {
+      throw new Error(`Máximo ${MAX_STEMS_PER_RENDER} stems por render`)
+    }
+
+    const channels = stems > 0 ? stems * STEM_CHANNELS : 2
+
+    return Tone.Offline(async ({ transport, rawContext }) => {
+      // El tempo primero: el tiempo del delay se resuelve con el transporte offline
+      transport.bpm.value = tempo.value
+
+      let buses
+      if (stems > 0) {
+        const merge = markRaw(new Tone.Merge({ channels }))
+        merge.connect(rawContext.destination)
+        buses = Array.from({ length: stems }, (_, i) => createStemBus(merge, i * STEM_CHANNELS))
+      } else {
+        buses = createEffectsBus()
+      }
+      await Promise.all([buses].flat().map(bus => bus.reverb?.generate()))
+
+      await schedule(transport, buses)
+      transport.start(0)
+    }, duration, channels)
+  }
+
   return {
     // Estado
     audioInitialized,
@@ -252,6 +491,8 @@ export const useAudioEngine = () => {
     masterVol,
     masterVolume,
     delayDivision,
+    swingAmount,
+    grooveTemplate,
 
     // Funciones principales
     initAudio,
@@ -260,15 +501,36 @@ export const useAudioEngine = () => {
     startTransport,
     stopTransport,
 
+    // Reloj externo
+    externalClock,
+    setExternalClock,
+    externalPulse,
+    setExternalPlaying,
+    resetPulse,
+    getPulse,
+    followExternalTempo,
+
     // Configuración
     updateTempo,
     updateMasterVolume,
     updateDelayDivision,
+    updateSwing,
+    updateGrooveTemplate,
 
     // Utilidades de audio
     getAudioObjects,
     createAudioChain,
     playNote,
+    createGroupBus,
+    updateGroupBus,
+    disposeGroupBus,
+    routeAudioChain,
+    renderOffline,
+    STEM_CHANNELS,
+    MAX_STEMS_PER_RENDER,
+    getStepDuration,
+    toPerformanceTime,
+    fromPerformanceTime,
 
     // Efectos
     softResetDelayFeedback,
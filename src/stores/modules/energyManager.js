@@ -1,4 +1,5 @@
 import { ref } from 'vue'
+import { isLoopSilenced } from './loopManager'
 
 // Performance optimization: cache energy calculations to avoid redundant computations
 let energyCache = new Map() // loopId -> last calculated energy
@@ -17,13 +18,16 @@ const invalidateLoopEnergyCache = (loopId) => {
 
 /**
  * Gestor de energía sonora que controla el balance automático
- * de volúmenes y densidades para evitar saturación
+ * de volúmenes y densidades para evitar saturación.
+ * `options.isLoopSilenced(loop)` decide qué loops no se oyen (mute/solo de loops y grupos);
+ * `options.canBalanceLoop(loop)` limita el ajuste de volúmenes (p. ej. a un grupo).
  */
-export const useEnergyManager = (notesMatrix = null) => {
+export const useEnergyManager = (notesMatrix = null, { isLoopSilenced: resolveSilenced = null, canBalanceLoop = () => true } = {}) => {
   // Configuración de gestión de energía
   const energyManagementEnabled = ref(true)
   const maxSonicEnergy = ref(2.5) // límite máximo de energía sonora total
   const energyReductionFactor = ref(0.6) // factor de reducción cuando se excede el límite (60%)
+  const countSilencedLoops = ref(true) // ¿cuentan los loops muteados (o fuera del solo) en el balance?
 
   const isDebugEnabled = () => typeof window !== 'undefined' && Boolean(window.__LOOP_DEBUG)
   const debugLog = (label, payload = {}) => {
@@ -36,6 +40,15 @@ export const useEnergyManager = (notesMatrix = null) => {
     return notesMatrix.getLoopNoteDensity(loop.id)
   }
 
+  // Loops que cuentan para la energía: los activos, sin los silenciados si así se configura
+  const getEnergyLoops = (loops) => {
+    const activeLoops = loops.filter(loop => loop.isActive)
+    if (countSilencedLoops.value) return activeLoops
+    if (resolveSilenced) return activeLoops.filter(loop => !resolveSilenced(loop))
+    const soloActive = activeLoops.some(loop => loop.solo)
+    return activeLoops.filter(loop => !isLoopSilenced(loop, soloActive))
+  }
+
   // Calcular la energía sonora total de los loops activos
   // Optimized with caching to avoid redundant calculations
   const calculateSonicEnergy = (loops) => {
@@ -50,7 +63,7 @@ export const useEnergyManager = (notesMatrix = null) => {
     }
 
     lastEnergyCheckTime = now
-    const activeLoops = loops.filter(loop => loop.isActive)
+    const activeLoops = getEnergyLoops(loops)
 
     if (activeLoops.length === 0) {
       clearEnergyCache()
@@ -85,7 +98,7 @@ export const useEnergyManager = (notesMatrix = null) => {
       return 0.3 + Math.random() * 0.4
     }
 
-    const activeCount = loops.filter(loop => loop.isActive).length
+    const activeCount = getEnergyLoops(loops).length
 
     // Densidad base más alta para pocos loops, más baja para muchos
     let baseDensity = 0.5
@@ -96,8 +109,10 @@ export const useEnergyManager = (notesMatrix = null) => {
       baseDensity = 0.4 + Math.random() * 0.3 // 0.4-0.7 para pocos loops
     } else if (activeCount <= 5) {
       baseDensity = 0.25 + Math.random() * 0.25 // 0.25-0.5 para varios loops
-    } else {
+    } else if (activeCount <= 8) {
       baseDensity = 0.15 + Math.random() * 0.2 // 0.15-0.35 para muchos loops
+    } else {
+      baseDensity = 0.1 + Math.random() * 0.15 // 0.1-0.25 para piezas densas (hasta 16 loops)
     }
 
     // Ajuste adicional basado en energía total actual
@@ -119,7 +134,7 @@ export const useEnergyManager = (notesMatrix = null) => {
       return 0.5
     }
 
-    const activeCount = loops.filter(loop => loop.isActive).length
+    const activeCount = getEnergyLoops(loops).length
     const currentEnergy = calculateSonicEnergy(loops)
 
     // Volumen base más bajo cuando hay más loops activos
@@ -131,8 +146,11 @@ export const useEnergyManager = (notesMatrix = null) => {
       baseVolume = 0.6
     } else if (activeCount <= 6) {
       baseVolume = 0.45
-    } else {
+    } else if (activeCount <= 8) {
       baseVolume = 0.35
+    } else {
+      // Con más de 8 voces la suma crece con la raíz del número de loops
+      baseVolume = 0.35 * Math.sqrt(8 / activeCount)
     }
 
     // Ajuste adicional por energía total usando configuración
@@ -150,7 +168,7 @@ export const useEnergyManager = (notesMatrix = null) => {
     if (!energyManagementEnabled.value) return
 
     loops.forEach(loop => {
-      if (loop.isActive) {
+      if (loop.isActive && canBalanceLoop(loop)) {
         const newVolume = getAdaptiveVolume(loops, loop.id)
         // Solo ajustar si la diferencia es significativa para evitar cambios constantes
         if (Math.abs(loop.volume - newVolume) > 0.1) {
@@ -179,7 +197,7 @@ export const useEnergyManager = (notesMatrix = null) => {
   // Obtener métricas de energía para debugging/UI
   const getEnergyMetrics = (loops) => {
     const currentEnergy = calculateSonicEnergy(loops)
-    const activeCount = loops.filter(loop => loop.isActive).length
+    const activeCount = getEnergyLoops(loops).length
     const energyPercentage = (currentEnergy / maxSonicEnergy.value) * 100
 
     return {
@@ -205,6 +223,11 @@ export const useEnergyManager = (notesMatrix = null) => {
     energyReductionFactor.value = Number(value)
   }
 
+  const updateCountSilencedLoops = (value) => {
+    countSilencedLoops.value = Boolean(value)
+    clearEnergyCache()
+  }
+
   // Calcular densidad óptima para un nuevo loop
   const getOptimalDensityForNewLoop = (loops, targetEnergy = null) => {
     if (!energyManagementEnabled.value) {
@@ -258,6 +281,7 @@ export const useEnergyManager = (notesMatrix = null) => {
     energyManagementEnabled,
     maxSonicEnergy,
     energyReductionFactor,
+    countSilencedLoops,
 
     // Funciones de cálculo
     calculateSonicEnergy,
@@ -272,6 +296,7 @@ export const useEnergyManager = (notesMatrix = null) => {
     updateEnergyManagement,
     updateMaxSonicEnergy,
     updateEnergyReductionFactor,
+    updateCountSilencedLoops,
 
     // Utilidades
     getEnergyMetrics,
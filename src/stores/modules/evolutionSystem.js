@@ -1,6 +1,7 @@
 import { ref, computed } from 'vue'
 import { useAudioStore } from '../audioStore'
 import { useNoteUtils, useScales } from '../../composables/useMusic'
+import { PLAY_MODES, DEFAULT_PLAY_MODE } from '../../utils/playModes'
 
 /**
  * Sistema de evolución automática que modifica loops de forma inteligente
@@ -41,7 +42,8 @@ export const useEvolutionSystem = (notesMatrix = null) => {
   // Configuración de tipos de evolución
   const evolutionTypes = ref({
     pattern: true,      // evolucionar patrones rítmicos
-    notes: true         // evolucionar notas/melodías
+    notes: true,        // evolucionar notas/melodías
+    playMode: true      // cambiar el modo de reproducción (atrás, ping-pong...)
   })
 
   // Probabilidades de diferentes tipos de mutación
@@ -50,6 +52,7 @@ export const useEvolutionSystem = (notesMatrix = null) => {
     removeNote: 0.2,    // probabilidad de quitar una nota
     shiftPattern: 0.25, // probabilidad de desplazar el patrón
     changeNote: 0.4,    // probabilidad de cambiar una nota existente
+    flipPlayMode: 0.15  // probabilidad de cambiar el modo de reproducción de un loop
   })
 
 
@@ -67,16 +70,16 @@ export const useEvolutionSystem = (notesMatrix = null) => {
 
     const interval = intervals[Math.floor(Math.random() * intervals.length)]
     const octave = Math.floor(Math.random() * octaveRange)
-    const note = clampToMidiRange(baseNote + interval + (octave * 12))
 
-    return note
+    // Plegar dentro del rango de notas del loop
+    return notesMatrix.foldNoteToLoopRange(loop.id, baseNote + interval + (octave * 12))
   }
 
   const ensureLoopHasNotes = (loopId, globalScaleIntervals) => {
     const density = notesMatrix.getLoopNoteDensity(loopId)
     if (density > 0) return
 
-    const loop = audioStore.loops[loopId]
+    const loop = audioStore.getLoop(loopId)
     notesMatrix.setLoopNote(loopId, 0, createRandomNoteForLoop(loop, globalScaleIntervals))
   }
 
@@ -110,7 +113,8 @@ export const useEvolutionSystem = (notesMatrix = null) => {
       if (action < mutationProbabilities.value.addNote && emptyPositions.length > 0) {
         // Add note to a distributed empty position
         const stepIndex = emptyPositions.shift()
-        const newNote = createRandomNoteForLoop(loop, globalScaleIntervals)
+        const proposedNote = createRandomNoteForLoop(loop, globalScaleIntervals)
+        const newNote = notesMatrix.resolveCounterpointNote(loop.id, stepIndex, proposedNote)
         notesMatrix.setLoopNote(loop.id, stepIndex, newNote)
         mutated = true
       } else if (action < mutationProbabilities.value.addNote + mutationProbabilities.value.removeNote && activePositions.length > 1) {
@@ -167,15 +171,17 @@ export const useEvolutionSystem = (notesMatrix = null) => {
   }
 
   // Generar variación de notas/melodía
-  const evolveNotes = (currentNotes, scaleIntervals, intensity = evolutionIntensity.value) => {
+  // Si se indica loopId, las notas cambiadas se re-voicean contra los demás loops activos
+  const evolveNotes = (currentNotes, scaleIntervals, intensity = evolutionIntensity.value, loopId = null) => {
     const newNotes = [...currentNotes]
+    const changedSteps = new Set()
     const changeCount = Math.floor(newNotes.length * intensity * 0.4)
 
     for (let i = 0; i < changeCount; i++) {
       const randomIndex = Math.floor(Math.random() * newNotes.length)
       const currentNote = newNotes[randomIndex]
 
-      if (currentNote === null) continue // Skip silent notes
+      if (typeof currentNote !== 'number') continue // Skip silent notes and chord steps
 
       if (Math.random() < mutationProbabilities.value.changeNote) {
         // Get the base note from the first octave of the current note
@@ -200,12 +206,19 @@ export const useEvolutionSystem = (notesMatrix = null) => {
         const newDegree = wrapScaleDegree(closestIntervalIndex + (direction * steps), scaleIntervals.length)
 
         const newInterval = scaleIntervals[newDegree]
-        const newNote = clampToMidiRange((octave * 12) + newInterval)
+        const newNote = loopId !== null && notesMatrix
+          ? notesMatrix.foldNoteToLoopRange(loopId, (octave * 12) + newInterval)
+          : clampToMidiRange((octave * 12) + newInterval)
 
         newNotes[randomIndex] = newNote
+        changedSteps.add(randomIndex)
       }
     }
 
+    if (loopId !== null && notesMatrix && changedSteps.size > 0) {
+      return notesMatrix.applyCounterpointToNotes(loopId, newNotes, changedSteps)
+    }
+
     return newNotes
   }
 
@@ -231,12 +244,20 @@ export const useEvolutionSystem = (notesMatrix = null) => {
     return evolvedLoop
   }
 
+  // Otro modo de reproducción; la mitad de las veces un loop alterado vuelve a sonar hacia delante
+  const pickPlayMode = (currentMode = DEFAULT_PLAY_MODE) => {
+    if (currentMode !== DEFAULT_PLAY_MODE && Math.random() < 0.5) return DEFAULT_PLAY_MODE
+    const candidates = Object.keys(PLAY_MODES).filter(mode => mode !== currentMode)
+    return candidates[Math.floor(Math.random() * candidates.length)]
+  }
+
   // Evolucionar un loop específico
   const evolveLoop = (loop, globalScaleIntervals, options = {}) => {
     let evolvedLoop = { ...loop }
 
     // Evolución de patrón a través de la matriz centralizada
-    if (evolutionTypes.value.pattern) {
+    // (los loops en modo acordes conservan el ritmo de su progresión)
+    if (evolutionTypes.value.pattern && !notesMatrix.loopMetadata[loop.id]?.chordMode) {
       mutateLoopRhythm(loop, globalScaleIntervals)
     }
 
@@ -246,10 +267,18 @@ export const useEvolutionSystem = (notesMatrix = null) => {
       const currentNotes = notesMatrix.getLoopNotes(loop.id)
 
       // Evolucionar notas using global scale intervals
-      const evolvedNotes = evolveNotes(currentNotes, globalScaleIntervals)
+      const evolvedNotes = evolveNotes(currentNotes, globalScaleIntervals, evolutionIntensity.value, loop.id)
 
       // Guardar en la matriz centralizada
       notesMatrix.setLoopNotes(loop.id, evolvedNotes)
+
+      // Dinámica: deriva de velocidades y probabilidades por paso
+      notesMatrix.mutateLoopLanes(loop.id, evolutionIntensity.value)
+    }
+
+    // Variación barata: las mismas notas recorridas en otro orden
+    if (evolutionTypes.value.playMode && Math.random() < mutationProbabilities.value.flipPlayMode) {
+      evolvedLoop.playMode = pickPlayMode(loop.playMode)
     }
 
     // Los efectos (delay y reverb) no se evolucionan automáticamente
@@ -264,8 +293,9 @@ export const useEvolutionSystem = (notesMatrix = null) => {
   }
 
   // Evolucionar múltiples loops de forma coordinada
+  // `options.canEvolve(loop)` limita qué loops activos pueden evolucionar (p. ej. los de un grupo)
   const evolveMultipleLoops = (loops, globalScaleIntervals, options = {}) => {
-    const activeLoops = loops.filter(loop => loop.isActive)
+    const activeLoops = loops.filter(loop => loop.isActive && (!options.canEvolve || options.canEvolve(loop)))
     if (activeLoops.length === 0) return loops
 
     // OPTIMIZATION: Use batch mode to defer reactivity triggers
@@ -408,19 +438,22 @@ export const useEvolutionSystem = (notesMatrix = null) => {
       if (Math.random() < mutationProbabilities.value.changeNote) {
         const currentNote = loopNotes[randomStep]
 
-        if (currentNote !== null) {
+        if (Array.isArray(currentNote)) {
+          // Los acordes se mantienen; la evolución actúa sobre las notas simples
+          continue
+        } else if (currentNote !== null) {
           // Transponer la nota existente respetando la escala
           const transposition = Math.floor(Math.random() * 7) - 3 // -3 a +3 semitonos
           const transposedNote = currentNote + transposition
           // Quantize to scale
-          const quantizedNote = quantizeToScale(transposedNote, scaleIntervals, baseNote)
+          const quantizedNote = quantizeToScale(transposedNote, scaleIntervals, baseNote, notesMatrix.getLoopNoteRange(loopId))
           notesMatrix.setLoopNote(loopId, randomStep, quantizedNote)
           hasChanges = true
         } else if (Math.random() < mutationProbabilities.value.addNote) {
           // Agregar una nueva nota dentro de la escala
           const scaleIndex = Math.floor(Math.random() * scaleIntervals.length)
           const octave = Math.floor(Math.random() * 3) // 0-2 octavas adicionales
-          const newNote = clampToMidiRange(baseNote + scaleIntervals[scaleIndex] + (octave * 12))
+          const newNote = notesMatrix.foldNoteToLoopRange(loopId, baseNote + scaleIntervals[scaleIndex] + (octave * 12))
           notesMatrix.setLoopNote(loopId, randomStep, newNote)
           hasChanges = true
         }
@@ -0,0 +1,165 @@
+import { ref, computed } from 'vue'
+import { useChords, useNoteUtils } from '../../composables/useMusic'
+
+// Progresiones disponibles en grados de la escala global (0 = tónica)
+export const HARMONIC_PROGRESSIONS = {
+  popMajor: { label: 'I–V–vi–IV', degrees: [0, 4, 5, 3] },
+  epicMinor: { label: 'i–VI–III–VII', degrees: [0, 5, 2, 6] },
+  andalusian: { label: 'i–VII–VI–V', degrees: [0, 6, 5, 4] },
+  twoFiveOne: { label: 'ii–V–I–I', degrees: [1, 4, 0, 0] },
+  plagal: { label: 'I–IV', degrees: [0, 3] },
+  doo: { label: 'I–vi–IV–V', degrees: [0, 5, 3, 4] }
+}
+
+export const HARMONY_MODES = ['transpose', 'chordTones']
+
+const PULSES_PER_BAR = 16
+const ROMAN_NUMERALS = ['I', 'II', 'III', 'IV', 'V', 'VI', 'VII']
+
+const pitchClass = (note) => ((note % 12) + 12) % 12
+
+// Desplazar una nota `shift` grados dentro de la escala conservando su alteración cromática
+const shiftByScaleDegrees = (note, shift, scale, baseNote) => {
+  const relative = note - baseNote
+  let octave = Math.floor(relative / 12)
+  const inOctave = ((relative % 12) + 12) % 12
+
+  let index = 0
+  scale.forEach((interval, i) => {
+    if (Math.abs(inOctave - interval) < Math.abs(inOctave - scale[index])) index = i
+  })
+  const chromatic = inOctave - scale[index]
+
+  let target = index + shift
+  octave += Math.floor(target / scale.length)
+  target = ((target % scale.length) + scale.length) % scale.length
+
+  return baseNote + (octave * 12) + scale[target] + chromatic
+}
+
+// Nota más cercana cuya clase de altura pertenezca al acorde (empates hacia abajo)
+const nearestChordTone = (note, chordPitchClasses) => {
+  for (let distance = 0; distance <= 6; distance++) {
+    if (chordPitchClasses.includes(pitchClass(note - distance))) return note - distance
+    if (chordPitchClasses.includes(pitchClass(note + distance))) return note + distance
+  }
+  return note
+}
+
+/**
+ * Línea de tiempo armónica: una progresión de acordes que avanza cada
+ * `barsPerChord` compases según el pulso del transporte. Al reproducir,
+ * las notas de los loops se transponen al acorde actual (o se ajustan a
+ * sus notas) sin modificar la matriz.
+ */
+export const useHarmonicTimeline = () => {
+  const enabled = ref(false)
+  const progressionName = ref('popMajor')
+  const barsPerChord = ref(2)
+  const mode = ref('transpose') // 'transpose' | 'chordTones'
+  const useSevenths = ref(false)
+  const currentChordIndex = ref(0)
+
+  const { buildDiatonicChord } = useChords()
+  const { foldToRange } = useNoteUtils()
+
+  const degrees = computed(() => HARMONIC_PROGRESSIONS[progressionName.value]?.degrees || [0])
+
+  const getChordIndexAtPulse = (pulse) => {
+    const pulsesPerChord = PULSES_PER_BAR * Math.max(1, barsPerChord.value)
+    return Math.floor(Math.max(0, pulse - 1) / pulsesPerChord) % degrees.value.length
+  }
+
+  // Contexto armónico del pulso (null si la línea de tiempo está desactivada)
+  // Los renders pasan `updateCurrent: false` para no mover el acorde que muestra la interfaz
+  const getHarmonyAtPulse = (pulse, scale, baseNote = 60, { updateCurrent = true } = {}) => {
+    if (!enabled.value || !Array.isArray(scale) || scale.length === 0) return null
+
+    const index = getChordIndexAtPulse(pulse)
+    // Solo tocar el ref cuando cambia el acorde para no disparar reactividad en cada pulso
+    if (updateCurrent && currentChordIndex.value !== index) currentChordIndex.value = index
+
+    const degree = degrees.value[index] % scale.length
+    const chord = buildDiatonicChord(scale, baseNote, degree, useSevenths.value ? 4 : 3)
+    return {
+      index,
+      degree,
+      scale,
+      baseNote,
+      chordPitchClasses: chord.map(pitchClass)
+    }
+  }
+
+  /**
+   * Ajustar una nota al acorde actual.
+   * 'transpose': desplazamiento diatónico por el grado del acorde y notas del acorde en tiempos fuertes.
+   * 'chordTones': todas las notas se llevan a la nota del acorde más cercana.
+   */
+  const harmonizeNote = (note, stepIndex, harmony, noteRange = {}) => {
+    if (typeof note !== 'number' || !harmony) return note
+
+    let result = note
+    if (mode.value === 'transpose' && harmony.degree !== 0) {
+      result = shiftByScaleDegrees(note, harmony.degree, harmony.scale, harmony.baseNote)
+    }
+    if (mode.value === 'chordTones' || stepIndex % 4 === 0) {
+      result = nearestChordTone(result, harmony.chordPitchClasses)
+    }
+    return foldToRange(result, noteRange)
+  }
+
+  // Nombre en números romanos del acorde actual (minúsculas si la tercera es menor)
+  const getChordLabel = (scale, index = currentChordIndex.value) => {
+    if (!Array.isArray(scale) || scale.length === 0) return ''
+    const degree = (degrees.value[index] ?? 0) % scale.length
+    const [root, third] = buildDiatonicChord(scale, 0, degree, 3)
+    const numeral = ROMAN_NUMERALS[degree] || String(degree + 1)
+    return third - root === 3 ? numeral.toLowerCase() : numeral
+  }
+
+  const setEnabled = (value) => {
+    enabled.value = Boolean(value)
+    currentChordIndex.value = 0
+  }
+
+  const setProgression = (name) => {
+    progressionName.value = HARMONIC_PROGRESSIONS[name] ? name : 'popMajor'
+  }
+
+  const setBarsPerChord = (bars) => {
+    const value = Math.round(Number(bars))
+    barsPerChord.value = Math.max(1, Math.min(16, Number.isFinite(value) ? value : 2))
+  }
+
+  const setMode = (value) => {
+    mode.value = HARMONY_MODES.includes(value) ? value : 'transpose'
+  }
+
+  const setUseSevenths = (value) => {
+    useSevenths.value = Boolean(value)
+  }
+
+  return {
+    // Estado
+    enabled,
+    progressionName,
+    barsPerChord,
+    mode,
+    useSevenths,
+    currentChordIndex,
+    degrees,
+
+    // Consulta
+    getChordIndexAtPulse,
+    getHarmonyAtPulse,
+    harmonizeNote,
+    getChordLabel,
+
+    // Configuración
+    setEnabled,
+    setProgression,
+    setBarsPerChord,
+    setMode,
+    setUseSevenths
+  }
+}
@@ -0,0 +1,126 @@
+import { ref } from 'vue'
+
+// Cuantización de lanzamiento: pulsos (semicorcheas) por frontera; 'loop' usa la longitud del loop
+export const LAUNCH_QUANTIZE_OPTIONS = {
+  none: { label: 'Inmediato', pulses: 0 },
+  beat: { label: '1 tiempo', pulses: 4 },
+  bar: { label: '1 compás', pulses: 16 },
+  bars2: { label: '2 compases', pulses: 32 },
+  bars4: { label: '4 compases', pulses: 64 },
+  bars8: { label: '8 compases', pulses: 128 },
+  loop: { label: 'Longitud del loop', pulses: null }
+}
+
+export const DEFAULT_LAUNCH_QUANTIZE = 'bar'
+
+// Primer pulso posterior a `pulse` que empieza un bloque de `quantum` pulsos (los pulsos empiezan en 1)
+export const nextLaunchBoundary = (pulse, quantum) => {
+  if (!quantum || quantum <= 1) return pulse + 1
+  return Math.ceil(pulse / quantum) * quantum + 1
+}
+
+/**
+ * Cola de lanzamientos: activaciones, regeneraciones y cargas de preset esperan
+ * a la siguiente frontera de la cuantización global y se aplican en el callback
+ * del transporte, justo antes de reproducir ese pulso.
+ */
+export const useLaunchQueue = () => {
+  const launchQuantize = ref(DEFAULT_LAUNCH_QUANTIZE)
+  // clave -> { type, loopId, boundary }; las acciones van aparte (no reactivas)
+  const pending = ref({})
+  const actions = new Map()
+
+  const launchKey = (type, loopId = null) => (loopId === null ? type : `${type}:${loopId}`)
+
+  const setLaunchQuantize = (value) => {
+    launchQuantize.value = LAUNCH_QUANTIZE_OPTIONS[value] ? value : DEFAULT_LAUNCH_QUANTIZE
+  }
+
+  const isPending = (type, loopId = null) => Boolean(pending.value[launchKey(type, loopId)])
+
+  const removePending = (key) => {
+    const { [key]: _removed, ...rest } = pending.value
+    pending.value = rest
+    actions.delete(key)
+  }
+
+  const runAction = (key) => {
+    const entry = actions.get(key)
+    removePending(key)
+    if (!entry) return
+    try {
+      entry.resolve(entry.action())
+    } catch (error) {
+      entry.reject(error)
+    }
+  }
+
+  /**
+   * Programar `action` para la próxima frontera.
+   * `pulse` es el último pulso reproducido; `loopLength` se usa con la cuantización 'loop'.
+   * Sin transporte en marcha o sin cuantización se aplica en el acto.
+   * Con `toggle`, volver a pedir la misma acción pendiente la cancela.
+   * Devuelve una promesa con el resultado de la acción (undefined si se cancela).
+   */
+  const schedule = ({ type, loopId = null, pulse, isPlaying, loopLength = null, toggle = false }, action) => {
+    const key = launchKey(type, loopId)
+
+    if (actions.has(key)) {
+      const previous = actions.get(key)
+      removePending(key)
+      previous.resolve(undefined)
+      if (toggle) return Promise.resolve(undefined)
+    }
+
+    const option = LAUNCH_QUANTIZE_OPTIONS[launchQuantize.value]
+    const quantum = option.pulses === null ? loopLength : option.pulses
+    if (!isPlaying || !quantum) {
+      try {
+        return Promise.resolve(action())
+      } catch (error) {
+        return Promise.reject(error)
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      const boundary = nextLaunchBoundary(pulse, quantum)
+      actions.set(key, { action, resolve, reject, boundary })
+      pending.value = { ...pending.value, [key]: { type, loopId, boundary } }
+    })
+  }
+
+  // Llamar en cada pulso antes de reproducirlo: aplica lo que vence en él
+  const processPulse = (pulse) => {
+    if (actions.size === 0) return
+    Array.from(actions.entries())
+      .filter(([, entry]) => entry.boundary <= pulse)
+      .forEach(([key]) => runAction(key))
+  }
+
+  // Aplicar todo lo pendiente ya (p. ej. al parar el transporte)
+  const flush = () => {
+    Array.from(actions.keys()).forEach(runAction)
+  }
+
+  // Descartar lo pendiente de un loop sin aplicarlo (p. ej. al borrarlo)
+  const cancelLoop = (loopId) => {
+    Object.entries(pending.value)
+      .filter(([, entry]) => entry.loopId === loopId)
+      .forEach(([key]) => {
+        const entry = actions.get(key)
+        removePending(key)
+        entry?.resolve(undefined)
+      })
+  }
+
+  return {
+    launchQuantize,
+    pending,
+    setLaunchQuantize,
+    isPending,
+    schedule,
+    processPulse,
+    flush,
+    cancelLoop
+  }
+}
@@ -0,0 +1,135 @@
+import { ref } from 'vue'
+
+export const GROUP_FILTER_TYPES = {
+  off: 'Sin filtro',
+  lowpass: 'Paso bajo',
+  highpass: 'Paso alto'
+}
+
+// Ajustes del bus que se envían al motor de audio (ver audioEngine.updateGroupBus)
+export const GROUP_BUS_PARAMS = ['gain', 'delaySend', 'reverbSend', 'filterType', 'filterFrequency', 'drive', 'compression']
+
+const clamp01 = (value, fallback) => {
+  const number = Number(value)
+  return Number.isFinite(number) ? Math.max(0, Math.min(1, number)) : fallback
+}
+
+const generateGroupId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+
+const createGroup = (overrides = {}) => ({
+  id: overrides.id || generateGroupId(),
+  name: overrides.name?.trim() || 'Grupo',
+  gain: clamp01(overrides.gain, 1),
+  muted: Boolean(overrides.muted),
+  solo: Boolean(overrides.solo),
+  delaySend: clamp01(overrides.delaySend, 0),
+  reverbSend: clamp01(overrides.reverbSend, 0),
+  filterType: GROUP_FILTER_TYPES[overrides.filterType] ? overrides.filterType : 'off',
+  filterFrequency: Math.max(20, Math.min(20000, Number(overrides.filterFrequency) || 2000)),
+  drive: clamp01(overrides.drive, 0),
+  compression: clamp01(overrides.compression, 0)
+})
+
+const pickBusSettings = (group) => Object.fromEntries(GROUP_BUS_PARAMS.map(param => [param, group[param]]))
+
+/**
+ * Grupos de loops: cada grupo tiene su bus de submezcla (ganancia, inserts y envíos)
+ * y su propio mute/solo. Los loops se asignan con `loop.groupId`; el store los enruta.
+ * La evolución y la gestión de energía pueden limitarse a un grupo (evolveGroupId, energyGroupId).
+ */
+export const useLoopGroups = (audioEngine) => {
+  const groups = ref([])
+  const evolveGroupId = ref(null) // null = todos los loops evolucionan
+  const energyGroupId = ref(null) // null = la gestión de energía ajusta todos los loops
+  const buses = new Map() // groupId -> nodos del bus en tiempo real (no reactivos)
+
+  const getGroup = (groupId) => (groupId ? groups.value.find(group => group.id === groupId) || null : null)
+
+  const getBus = (groupId) => buses.get(groupId) || null
+
+  // Crear los buses que falten (los grupos pueden existir antes de iniciar el audio)
+  const ensureBuses = () => {
+    if (!audioEngine.audioInitialized.value) return
+    groups.value.forEach(group => {
+      if (!buses.has(group.id)) buses.set(group.id, audioEngine.createGroupBus(pickBusSettings(group)))
+    })
+  }
+
+  const addGroup = (overrides = {}) => {
+    const group = createGroup({ name: `Grupo ${groups.value.length + 1}`, ...overrides })
+    groups.value = [...groups.value, group]
+    ensureBuses()
+    return group
+  }
+
+  const updateGroup = (groupId, updates) => {
+    const current = getGroup(groupId)
+    if (!current) return null
+    const updated = createGroup({ ...current, ...updates, id: groupId })
+    groups.value = groups.value.map(group => (group.id === groupId ? updated : group))
+    audioEngine.updateGroupBus(getBus(groupId), pickBusSettings(updated))
+    return updated
+  }
+
+  // Quien llama debe reenrutar antes los loops del grupo (ver audioStore.deleteLoopGroup)
+  const removeGroup = (groupId) => {
+    audioEngine.disposeGroupBus(getBus(groupId))
+    buses.delete(groupId)
+    groups.value = groups.value.filter(group => group.id !== groupId)
+    if (evolveGroupId.value === groupId) evolveGroupId.value = null
+    if (energyGroupId.value === groupId) energyGroupId.value = null
+  }
+
+  const setEvolveGroup = (groupId) => {
+    evolveGroupId.value = getGroup(groupId) ? groupId : null
+  }
+
+  const setEnergyGroup = (groupId) => {
+    energyGroupId.value = getGroup(groupId) ? groupId : null
+  }
+
+  // ¿Entra el loop en el objetivo? (null = todos)
+  const isLoopInTarget = (loop, targetGroupId) => targetGroupId === null || loop.groupId === targetGroupId
+
+  // ---- Presets ----
+
+  const exportGroups = () => ({
+    groups: groups.value.map(group => ({ ...group })),
+    evolveGroupId: evolveGroupId.value,
+    energyGroupId: energyGroupId.value
+  })
+
+  // Reemplazar los grupos (null los borra todos); los buses se recrean
+  const importGroups = (data) => {
+    buses.forEach(bus => audioEngine.disposeGroupBus(bus))
+    buses.clear()
+    groups.value = Array.isArray(data?.groups) ? data.groups.map(createGroup) : []
+    evolveGroupId.value = getGroup(data?.evolveGroupId) ? data.evolveGroupId : null
+    energyGroupId.value = getGroup(data?.energyGroupId) ? data.energyGroupId : null
+    ensureBuses()
+  }
+
+  return {
+    // Estado
+    groups,
+    evolveGroupId,
+    energyGroupId,
+
+    // Consulta
+    getGroup,
+    getBus,
+    isLoopInTarget,
+
+    // Edición
+    addGroup,
+    updateGroup,
+    removeGroup,
+    setEvolveGroup,
+    setEnergyGroup,
+    ensureBuses,
+
+    // Presets
+    exportGroups,
+    importGroups
+  }
+}
@@ -1,5 +1,9 @@
-import { ref, shallowRef, triggerRef } from 'vue'
-import { useScales, useNoteUtils } from '../../composables/useMusic'
+import { ref, shallowRef, triggerRef, computed } from 'vue'
+import { useScales, useNoteUtils, useChords } from '../../composables/useMusic'
+import { selectPatternType } from '../../utils/patternGenerators'
+import { GROOVE_TEMPLATES, getGrooveOffset, sanitizeStepOffsets } from '../../utils/grooveTemplates'
+import { DEFAULT_STEP_RATE, getStepLength, sanitizeStepRate } from '../../utils/stepRates'
+import { DEFAULT_PLAY_MODE, getPlayPosition, sanitizePlayMode } from '../../utils/playModes'
 
 // Helper function for efficient MIDI note clamping
 const clampToMidiRange = (note) => {
@@ -18,6 +22,17 @@ const clampToMidiRange = (note) => {
   return note
 }
 
+// Loops al arrancar; luego se pueden añadir y quitar hasta `maxLoops`
+export const DEFAULT_LOOP_COUNT = 8
+
+// Nodos de la cadena de audio de cada loop (ver audioEngine.createAudioChain)
+export const LOOP_AUDIO_NODES = ['synth', 'panner', 'delaySend', 'reverbSend']
+
+// Mute/solo: un loop activo está en silencio si él o su grupo están muteados,
+// o si hay algún solo (de loop o de grupo) y no lo tienen ni él ni su grupo
+export const isLoopSilenced = (loop, soloActive, group = null) =>
+  Boolean(loop.muted || group?.muted) || (soloActive && !(loop.solo || group?.solo))
+
 /**
  * Gestor de loops que maneja la creación, configuración y 
  * reproducción de patrones musicales
@@ -27,7 +42,32 @@ export const useLoopManager = (notesMatrix = null) => {
   // Estado de los loops - using shallowRef for performance
   // We don't need deep reactivity since currentStep is now computed in components
   const loops = shallowRef([])
-  const NUM_LOOPS = 8
+
+  // Los ids son filas de la matriz de notas, así que el máximo configurable no puede pasar de su capacidad
+  const loopCapacity = notesMatrix?.MAX_LOOPS ?? 16
+  const maxLoops = ref(loopCapacity)
+  const canAddLoop = computed(() => loops.value.length < maxLoops.value)
+  // Memoria de los modos de reproducción por loop (no reactiva): loopId -> { position, ... }
+  const playStates = new Map()
+
+  // El array está ordenado por id pero puede tener huecos: buscar siempre por id
+  const getLoop = (id) => loops.value.find(loop => loop.id === id)
+
+  // Primer id libre (null si no cabe ninguno más)
+  const nextLoopId = () => {
+    if (!canAddLoop.value) return null
+    const used = new Set(loops.value.map(loop => loop.id))
+    for (let id = 0; id < loopCapacity; id++) {
+      if (!used.has(id)) return id
+    }
+    return null
+  }
+
+  // No se borran loops al bajar el máximo: no puede quedar por debajo de los que ya hay
+  const setMaxLoops = (value) => {
+    const requested = Math.round(Number(value)) || loopCapacity
+    maxLoops.value = Math.max(1, loops.value.length, Math.min(loopCapacity, requested))
+  }
 
   // Global root note for harmonic consistency - all loops use the same root
   let globalRootNote = 60 // Default to C (middle C)
@@ -65,8 +105,10 @@ export const useLoopManager = (notesMatrix = null) => {
     return notes
   }
 
-  const generateNotesInRange = (scale, baseNote, length, maxOctaves = 2) => {
+  const generateNotesInRange = (scale, baseNote, length, maxOctaves = 2, noteRange = {}) => {
     // scale should be intervals array here
+    const { foldToRange } = useNoteUtils()
+    const range = { min: noteRange.min ?? 24, max: noteRange.max ?? 84 }
 
     return Array.from({ length }, (_, idx) => {
       if (Math.random() < 0.3) return null // 30% silencio
@@ -75,9 +117,9 @@ export const useLoopManager = (notesMatrix = null) => {
       const octave = Math.floor(Math.random() * maxOctaves)
       const note = baseNote + scale[scaleIndex] + (octave * 12)
 
-      // Asegurar rango MIDI válido manteniendo la nota en escala
-      // Note: using 84 as upper limit instead of 96 for this function
-      const finalNote = Math.min(84, clampToMidiRange(note))
+      // Asegurar rango de notas manteniendo la nota en escala
+      // Note: defaults to 84 as upper limit instead of 96 for this function
+      const finalNote = foldToRange(note, range, scale, baseNote)
 
       if (idx < 3 && finalNote !== null) { // Log first 3 non-null notes
       }
@@ -96,6 +138,7 @@ export const useLoopManager = (notesMatrix = null) => {
 
     const targetLength = responderLoop?.length ?? sourceNotes.length
     const { quantizeToScale } = useNoteUtils()
+    const noteRange = notesMatrix && responderLoop ? notesMatrix.getLoopNoteRange(responderLoop.id) : {}
 
     // Elegir estrategia de transformación
     const strategies = ['transposeUp', 'transposeDown', 'retrograde', 'invert']
@@ -130,7 +173,7 @@ export const useLoopManager = (notesMatrix = null) => {
           transformed = note
       }
       transformed = clampMidi(transformed)
-      const quantized = quantizeToScale(transformed, scale, baseNote)
+      const quantized = quantizeToScale(transformed, scale, baseNote, noteRange)
       return quantized
     }
 
@@ -140,9 +183,11 @@ export const useLoopManager = (notesMatrix = null) => {
       seq = seq.reverse()
     }
 
+    const { mapStepNotes } = useChords()
     const result = Array.from({ length: targetLength }, (_, i) => {
       const src = seq.length ? seq[i % seq.length] : null
-      return transformNote(src, i)
+      // Los acordes se transforman nota a nota
+      return mapStepNotes(src, note => transformNote(note, i))
     })
 
     return result
@@ -158,6 +203,43 @@ export const useLoopManager = (notesMatrix = null) => {
     return baseNote
   }
 
+  // La nota base se mide respecto a la tónica global, no respecto a C
+  const isBaseNoteInScale = (baseNote, scale) => {
+    const interval = (((baseNote - globalRootNote) % 12) + 12) % 12
+    return scale.includes(interval)
+  }
+
+  const getGlobalRootNote = () => globalRootNote
+
+  const setGlobalRootNote = (note) => {
+    const value = Math.round(Number(note))
+    if (!Number.isFinite(value)) return false
+    // Plegar por octavas: la clase de altura tiene que seguir coincidiendo con la tónica
+    globalRootNote = clampToMidiRange(value)
+    if (notesMatrix && notesMatrix.setGlobalBaseNote) {
+      notesMatrix.setGlobalBaseNote(globalRootNote)
+    }
+    return true
+  }
+
+  // Cambiar de tonalidad: desplazar nota base y notas de todos los loops los mismos semitonos
+  const transposeAllLoops = (semitones) => {
+    if (!semitones) return
+    const { foldToRange } = useNoteUtils()
+
+    loops.value.forEach(loop => {
+      // Plegar por octavas igual que las notas, para que las modulaciones no la saquen del rango
+      const range = notesMatrix?.getLoopNoteRange ? notesMatrix.getLoopNoteRange(loop.id) : {}
+      loop.baseNote = foldToRange(loop.baseNote + semitones, range)
+      if (notesMatrix) {
+        // Primero la nota base, para que la cuantización use la nueva tónica
+        notesMatrix.updateLoopMetadata(loop.id, { baseNote: loop.baseNote })
+        notesMatrix.transposeLoop(loop.id, semitones)
+      }
+    })
+    triggerRef(loops)
+  }
+
   // Crear estructura básica de loop (sin objetos de audio)
   const createBasicLoop = (id, scaleName, adaptiveVolume = 0.5, adaptiveDensity = null) => {
     // scaleName parameter is the scale NAME (e.g., 'major', 'minorPentatonic')
@@ -192,6 +274,10 @@ export const useLoopManager = (notesMatrix = null) => {
     return {
       id,
       isActive: false,
+      // Mute/solo solo afectan a la salida; el loop sigue activo (evolución, energía, matriz)
+      muted: false,
+      solo: false,
+      groupId: null, // grupo de submezcla (ver modules/loopGroups)
       // scale removed - uses global scale from audioStore
       baseNote,
       synthModel: 'PolySynth',
@@ -209,6 +295,14 @@ export const useLoopManager = (notesMatrix = null) => {
       reverbAmount: 0.3,
       volume: adaptiveVolume,
       pan: 0,
+      // Groove: null usa el swing/plantilla globales
+      swing: null,
+      groove: null,
+      stepOffsets: null,
+      // Resolución de paso: `steps` pasos cada `pulses` semicorcheas (ver utils/stepRates)
+      stepRate: { ...DEFAULT_STEP_RATE },
+      // Orden en que se recorren los pasos (ver utils/playModes)
+      playMode: DEFAULT_PLAY_MODE,
       envelope: {
         attack: 0.01,
         decay: 0.3,
@@ -253,12 +347,13 @@ export const useLoopManager = (notesMatrix = null) => {
     // Inicializar la matriz de notas centralizada
     if (notesMatrix) {
       notesMatrix.initializeMatrix()
+      notesMatrix.setGlobalBaseNote(globalRootNote)
       //console.log('🔄 LOOP MANAGER: Central notes matrix initialized');
     }
 
     loops.value = []
 
-    for (let i = 0; i < NUM_LOOPS; i++) {
+    for (let i = 0; i < Math.min(DEFAULT_LOOP_COUNT, maxLoops.value); i++) {
       const adaptiveVolume = getAdaptiveVolume ? getAdaptiveVolume(i) : 0.5
       const adaptiveDensity = getAdaptiveDensity ? getAdaptiveDensity() : null
 
@@ -303,9 +398,46 @@ export const useLoopManager = (notesMatrix = null) => {
         loop.reverbSend = audioChain.reverbSend
       }
     })
-  }  // Activar/desactivar loop
+  }
+
+  // Añadir un loop (por defecto con el primer id libre); con audioEngine se crea también su cadena de audio
+  const addLoop = (scaleName, audioEngine = null, { id = nextLoopId(), adaptiveVolume = 0.5, adaptiveDensity = null } = {}) => {
+    if (id === null || id < 0 || id >= loopCapacity || getLoop(id) || !canAddLoop.value) return null
+
+    const loop = audioEngine
+      ? createLoop(id, scaleName, audioEngine, adaptiveVolume, adaptiveDensity)
+      : createBasicLoop(id, scaleName, adaptiveVolume, adaptiveDensity)
+    loops.value = [...loops.value, loop].sort((a, b) => a.id - b.id)
+    return loop
+  }
+
+  // Desconectar y liberar los nodos de audio de un loop
+  const disposeLoopAudio = (loop) => {
+    LOOP_AUDIO_NODES.forEach(node => {
+      if (loop[node]) {
+        loop[node].disconnect()
+        loop[node].dispose()
+        loop[node] = null
+      }
+    })
+  }
+
+  // Quitar un loop: libera su audio y su fila de la matriz (el id queda libre)
+  const removeLoop = (id) => {
+    const loop = getLoop(id)
+    if (!loop) return false
+
+    if (loop.synth?.releaseAll) loop.synth.releaseAll()
+    disposeLoopAudio(loop)
+    if (notesMatrix) notesMatrix.removeLoop(id)
+    playStates.delete(id)
+    loops.value = loops.value.filter(existing => existing.id !== id)
+    return true
+  }
+
+  // Activar/desactivar loop
   const toggleLoop = (id) => {
-    const loop = loops.value[id]
+    const loop = getLoop(id)
     if (loop) {
       loop.isActive = !loop.isActive
 
@@ -332,7 +464,7 @@ export const useLoopManager = (notesMatrix = null) => {
 
   // Actualizar parámetros de loop
   const updateLoopParam = (id, param, value) => {
-    const loop = loops.value[id]
+    const loop = getLoop(id)
     if (!loop) return
 
     switch (param) {
@@ -342,9 +474,11 @@ export const useLoopManager = (notesMatrix = null) => {
 
         if (notesMatrix) {
           const density = getLoopNoteDensity(id) || 0.4
-          notesMatrix.updateLoopMetadata(id, { length: newLen })
+          // resizeLoop conserva las notas existentes y rellena los pasos nuevos
           notesMatrix.resizeLoop(id, newLen, { density })
-          debugLog('loop length resized', { id, newLen, density })
+          // La matriz limita la longitud a su máximo; mantener el loop sincronizado
+          loop.length = notesMatrix.loopMetadata[id]?.length ?? newLen
+          debugLog('loop length resized', { id, newLen: loop.length, density })
         }
 
         // Trigger reactivity update after length change
@@ -379,6 +513,60 @@ export const useLoopManager = (notesMatrix = null) => {
         loop.pan = pan
         break
       }
+      case 'noteRange': {
+        // value: [min, max] en notas MIDI
+        const [min, max] = Array.isArray(value) ? value : [value?.min, value?.max]
+        if (notesMatrix) {
+          notesMatrix.setLoopNoteRange(id, min, max)
+        }
+        break
+      }
+      case 'swing': {
+        // null vuelve al swing global; acepta 0-1 o porcentaje
+        if (value === null || value === undefined) {
+          loop.swing = null
+        } else {
+          const s = Math.abs(value) <= 1 ? Number(value) : Number(value) / 100
+          loop.swing = Math.max(0, Math.min(1, s))
+        }
+        triggerRef(loops)
+        break
+      }
+      case 'groove': {
+        loop.groove = GROOVE_TEMPLATES[value] ? value : null
+        triggerRef(loops)
+        break
+      }
+      case 'stepOffsets': {
+        loop.stepOffsets = sanitizeStepOffsets(value)
+        break
+      }
+      case 'stepRate': {
+        // Nombre de STEP_RATES o { steps, pulses } (multiplicador/divisor)
+        loop.stepRate = sanitizeStepRate(value)
+        triggerRef(loops)
+        break
+      }
+      case 'playMode': {
+        loop.playMode = sanitizePlayMode(value)
+        playStates.delete(id)
+        triggerRef(loops)
+        break
+      }
+      case 'chordMode': {
+        // Solo cambia el modo; las notas se regeneran con regenerateLoop
+        if (notesMatrix) {
+          notesMatrix.updateLoopMetadata(id, { chordMode: Boolean(value) })
+        }
+        triggerRef(loops)
+        break
+      }
+      case 'muted':
+      case 'solo': {
+        loop[param] = Boolean(value)
+        triggerRef(loops)
+        break
+      }
       case 'synthType': {
         loop.synthType = value
         // Nota: cambiar el tipo de oscilador requiere recrear el sintetizador
@@ -393,8 +581,7 @@ export const useLoopManager = (notesMatrix = null) => {
     // currentScaleName is the scale name (e.g., 'major', 'minor')
 
     // Verificar y ajustar la nota base si es necesario
-    const baseNoteInterval = loop.baseNote % 12
-    const currentBaseNoteInScale = newScale.includes(baseNoteInterval)
+    const currentBaseNoteInScale = isBaseNoteInScale(loop.baseNote, newScale)
 
     if (!currentBaseNoteInScale) {
       loop.baseNote = generateScaleBaseNote(newScale)
@@ -424,8 +611,7 @@ export const useLoopManager = (notesMatrix = null) => {
     // Actualizar cada loop individualmente para asegurar compatibilidad de base note
     loops.value.forEach(loop => {
       // Verificar y ajustar la nota base si es necesario
-      const baseNoteInterval = loop.baseNote % 12
-      const currentBaseNoteInScale = newScale.includes(baseNoteInterval)
+      const currentBaseNoteInScale = isBaseNoteInScale(loop.baseNote, newScale)
 
       if (!currentBaseNoteInScale) {
         loop.baseNote = generateScaleBaseNote(newScale)
@@ -452,13 +638,12 @@ export const useLoopManager = (notesMatrix = null) => {
     // currentScale is the actual scale array (intervals)
     // currentScaleName is the scale name (e.g., 'major', 'minor')
 
-    const loop = loops.value[id]
+    const loop = getLoop(id)
     if (loop && notesMatrix) {
       // Asegurar que la nota base esté en la escala actual
       // Verificar si la nota base actual está en la escala
-      // La nota base debe estar en los intervalos de la escala (mod 12)
-      const baseNoteInterval = loop.baseNote % 12
-      const currentBaseNoteInScale = currentScale.includes(baseNoteInterval)
+      // La nota base debe estar en los intervalos de la escala (relativos a la tónica global)
+      const currentBaseNoteInScale = isBaseNoteInScale(loop.baseNote, currentScale)
 
       if (!currentBaseNoteInScale) {
         loop.baseNote = generateScaleBaseNote(currentScale)
@@ -483,7 +668,7 @@ export const useLoopManager = (notesMatrix = null) => {
     // scale is the actual scale array (intervals)
     // currentScaleName is the scale name (e.g., 'major', 'minor')
 
-    const loop = loops.value[id]
+    const loop = getLoop(id)
     if (!loop) return
 
     // Si hay cambio de escala, regenerar la nota base para que esté en la nueva escala
@@ -505,18 +690,23 @@ export const useLoopManager = (notesMatrix = null) => {
       // Regenerar notas en la matriz centralizada using scale NAME
       const targetDensity = adaptiveDensity ?? getLoopNoteDensity(id) ?? 0.4
 
+      // Elegir generador de patrón según los pesos del loop
+      const pattern = selectPatternType(notesMatrix.loopMetadata[id]?.patternProbabilities)
+
       notesMatrix.generateLoopNotes(id, {
         scale: currentScaleName, // Pass scale NAME, not intervals
         baseNote: loop.baseNote,
         length: loop.length,
         density: targetDensity,
-        octaveRange: 2
+        octaveRange: 2,
+        pattern
       })
       debugLog('regenerate loop', {
         id,
         scaleChanged: Boolean(scale),
         newLength: loop.length,
-        density: targetDensity
+        density: targetDensity,
+        pattern
       })
     }
 
@@ -531,18 +721,53 @@ export const useLoopManager = (notesMatrix = null) => {
     return loops.value.filter(loop => loop.isActive)
   }
 
-  // Reproducir nota de un loop específico
-  const playLoopNote = (loop, audioEngine, step, time) => {
-    // No need to update currentStep - it's now computed in components based on currentPulse
+  // Posición del loop que suena en su paso absoluto `index` según su modo de reproducción
+  const getPlayStep = (loop, index) => {
+    if (!playStates.has(loop.id)) playStates.set(loop.id, {})
+    return getPlayPosition(loop.playMode, index, loop.length, playStates.get(loop.id))
+  }
+
+  // Última posición reproducida de un loop (null si aún no ha sonado)
+  const getPlayhead = (id) => playStates.get(id)?.position ?? null
+
+  // Resolver lo que suena en un paso: nota (ya transformada), velocidad del paso,
+  // duración y desplazamiento de groove en pasos. null si el paso está vacío o
+  // la probabilidad no lo dispara. Compartido por la reproducción y la exportación MIDI.
+  // `grooveStep` es el paso en el tiempo (el groove no se mueve con el modo de reproducción)
+  const resolveLoopStep = (loop, step, transformNote = null, globalGroove = {}, grooveStep = step) => {
+    const { note: storedNote, velocity, gate, probability } = notesMatrix.getStep(loop.id, step)
+    if (storedNote === null || storedNote === undefined) return null
+
+    // Probabilidad de disparo del paso
+    if (probability < 1 && Math.random() >= probability) return null
 
-    const midiNote = notesMatrix.getNote(loop.id, step)
-    if (midiNote === null || midiNote === undefined) return
     const synthModel = loop.synthModel || 'PolySynth'
 
-    // Seleccionar duración según el modelo de síntesis
-    const duration = (synthModel === 'AMSynth' || synthModel === 'FMSynth') ? '8n'
-      : (synthModel === 'PluckSynth' || synthModel === 'MembraneSynth') ? '16n'
-        : '16n'
+    return {
+      note: transformNote ? transformNote(storedNote) : storedNote,
+      velocity,
+      // Gate del paso o duración según el modelo de síntesis ('8n' = 2 pasos, '16n' = 1 paso)
+      durationSteps: gate || ((synthModel === 'AMSynth' || synthModel === 'FMSynth') ? 2 : 1),
+      // Desplazar el paso según el groove del loop (o el global)
+      offsetSteps: getGrooveOffset(grooveStep, {
+        groove: loop.groove ?? globalGroove.groove,
+        swing: loop.swing ?? globalGroove.swing,
+        stepOffsets: loop.stepOffsets
+      })
+    }
+  }
+
+  // Reproducir nota de un loop específico
+  // transformNote (opcional) ajusta la nota al reproducir, p. ej. al acorde de la progresión global
+  // `midiOutput` (opcional) envía además la nota al puerto MIDI del loop
+  const playLoopNote = (loop, audioEngine, step, time, transformNote = null, midiOutput = null, grooveStep = step) => {
+    // No need to update currentStep - it's now computed in components based on currentPulse
+
+    const event = resolveLoopStep(loop, step, transformNote, {
+      groove: audioEngine.grooveTemplate?.value,
+      swing: audioEngine.swingAmount?.value
+    }, grooveStep)
+    if (!event) return
 
     const audioChain = {
       synth: loop.synth,
@@ -551,7 +776,17 @@ export const useLoopManager = (notesMatrix = null) => {
       reverbSend: loop.reverbSend
     }
 
-    audioEngine.playNote(audioChain, midiNote, duration, loop.volume, time)
+    // Groove y gate van en pasos del loop, que pueden ser más largos o cortos que una semicorchea
+    const stepDuration = audioEngine.getStepDuration() * getStepLength(loop.stepRate)
+    const noteTime = event.offsetSteps > 0 ? time + event.offsetSteps * stepDuration : time
+
+    if (midiOutput && midiOutput.getLoopRoute(loop.id)) {
+      midiOutput.sendNote(loop.id, event.note, event.velocity, event.durationSteps * stepDuration,
+        audioEngine.toPerformanceTime(noteTime))
+      if (midiOutput.isInternalMuted(loop.id)) return
+    }
+
+    audioEngine.playNote(audioChain, event.note, event.durationSteps * stepDuration, loop.volume * event.velocity, noteTime)
   }
 
   // Aplicar distribución dispersa en el espectro estéreo
@@ -609,7 +844,7 @@ export const useLoopManager = (notesMatrix = null) => {
 
   // Actualizar configuración del sintetizador de un loop
   const updateLoopSynth = (loopId, synthConfig, audioEngine) => {
-    const loop = loops.value[loopId]
+    const loop = getLoop(loopId)
     if (!loop) {
       console.error(`Loop ${loopId} no encontrado`)
       return
@@ -621,22 +856,7 @@ export const useLoopManager = (notesMatrix = null) => {
     }
 
     // Desconectar y limpiar el sintetizador anterior
-    if (loop.synth) {
-      loop.synth.disconnect()
-      loop.synth.dispose()
-    }
-    if (loop.panner) {
-      loop.panner.disconnect()
-      loop.panner.dispose()
-    }
-    if (loop.delaySend) {
-      loop.delaySend.disconnect()
-      loop.delaySend.dispose()
-    }
-    if (loop.reverbSend) {
-      loop.reverbSend.disconnect()
-      loop.reverbSend.dispose()
-    }
+    disposeLoopAudio(loop)
 
     // Actualizar la configuración del loop
     loop.synthModel = synthConfig.type || 'PolySynth'
@@ -702,14 +922,20 @@ export const useLoopManager = (notesMatrix = null) => {
   return {
     // Estado
     loops,
-    NUM_LOOPS,
+    maxLoops,
+    loopCapacity,
+    canAddLoop,
     synthTypes,
+    getLoop,
+    setMaxLoops,
 
     // Funciones de creación
     createBasicLoop,
     createLoop,
     initializeLoops,
     upgradeLoopsWithAudio,
+    addLoop,
+    removeLoop,
 
     // Funciones de control
     toggleLoop,
@@ -729,8 +955,16 @@ export const useLoopManager = (notesMatrix = null) => {
     quantizeLoopNotes,
     updateAllLoopsScale,
 
+    // Tonalidad global
+    getGlobalRootNote,
+    setGlobalRootNote,
+    transposeAllLoops,
+
     // Utilidades
     getActiveLoops,
+    getPlayStep,
+    getPlayhead,
+    resolveLoopStep,
     playLoopNote,
     triggerLoopsUpdate,
 
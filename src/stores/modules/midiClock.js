@@ -0,0 +1,166 @@
+import { ref } from 'vue'
+import {
+  MIDI_CLOCK_MESSAGES,
+  CLOCKS_PER_STEP,
+  parseClockMessage,
+  songPositionMessage,
+  createClockSmoother
+} from '../../services/midiClockService'
+
+// Margen para programar los pulsos del reloj externo: el mensaje llega "ahora" y el audio necesita antelación
+const EXTERNAL_CLOCK_LATENCY = 0.05
+// Cambio mínimo de BPM para actualizar el transporte (evita reescribir el tempo en cada tick)
+const TEMPO_FOLLOW_THRESHOLD = 0.05
+
+/**
+ * Sincronización por reloj MIDI.
+ * - 'internal': Tone.Transport marca el tempo.
+ * - 'external': una fuente de reloj (entrada MIDI o generador sintético) dispara los pulsos:
+ *   6 ticks por semicorchea, start/continue/stop y song position; el tempo se suaviza.
+ * - 'master': cada pulso interno envía 6 ticks de reloj, más start/stop y song position, a un puerto de salida.
+ * `hooks` (onStart, onStop, onPosition) avisan al store para realinear la evolución o cortar notas.
+ */
+export const useMidiClock = (audioEngine, midiOutput, hooks = {}) => {
+  const mode = ref('internal')
+  const portId = ref(null) // entrada (external) o salida (master)
+  const externalBpm = ref(null)
+  const externalRunning = ref(false)
+
+  const smoother = createClockSmoother()
+  let source = null
+  let sourceListener = null
+  let clockCount = 0
+  let followedBpm = null
+
+  // ---- Modo esclavo ----
+
+  const toAudioTime = (timestamp) => audioEngine.fromPerformanceTime(timestamp) + EXTERNAL_CLOCK_LATENCY
+
+  const handleClockMessage = (data, timestamp) => {
+    const message = parseClockMessage(data)
+    if (!message) return
+
+    switch (message.type) {
+      case 'clock': {
+        const { time, bpm } = smoother.tick(timestamp)
+        if (bpm) {
+          externalBpm.value = Math.round(bpm * 10) / 10
+          if (followedBpm === null || Math.abs(bpm - followedBpm) >= TEMPO_FOLLOW_THRESHOLD) {
+            followedBpm = bpm
+            audioEngine.followExternalTempo(bpm)
+          }
+        }
+        if (!externalRunning.value) return
+        // El primer tick tras start/song position marca el inicio de la semicorchea
+        if (clockCount % CLOCKS_PER_STEP === 0) audioEngine.externalPulse(toAudioTime(time))
+        clockCount++
+        break
+      }
+      case 'start':
+        clockCount = 0
+        audioEngine.resetPulse(0)
+        externalRunning.value = true
+        audioEngine.setExternalPlaying(true)
+        hooks.onStart?.()
+        break
+      case 'continue':
+        externalRunning.value = true
+        audioEngine.setExternalPlaying(true)
+        hooks.onStart?.()
+        break
+      case 'stop':
+        externalRunning.value = false
+        audioEngine.setExternalPlaying(false)
+        hooks.onStop?.()
+        break
+      case 'songPosition':
+        clockCount = message.position * CLOCKS_PER_STEP
+        audioEngine.resetPulse(message.position)
+        hooks.onPosition?.(message.position)
+        break
+    }
+  }
+
+  const disconnectSource = () => {
+    if (source && sourceListener) source.removeEventListener('midimessage', sourceListener)
+    source = null
+    sourceListener = null
+    externalRunning.value = false
+    externalBpm.value = null
+    followedBpm = null
+    smoother.reset()
+  }
+
+  // Fuente de reloj: cualquier objeto con addEventListener('midimessage') (Web MIDI o createSyntheticClock)
+  const connectSource = (input) => {
+    if (!input || typeof input.addEventListener !== 'function') throw new Error('Fuente de reloj MIDI inválida')
+    disconnectSource()
+    source = input
+    sourceListener = (event) => handleClockMessage(event.data, event.timeStamp ?? performance.now())
+    input.addEventListener('midimessage', sourceListener)
+  }
+
+  // ---- Modo maestro ----
+
+  // Llamar en cada pulso interno: 6 ticks repartidos en la semicorchea
+  const handleInternalPulse = (time) => {
+    if (mode.value !== 'master' || !portId.value) return
+    const tickDuration = audioEngine.getStepDuration() / CLOCKS_PER_STEP
+    for (let i = 0; i < CLOCKS_PER_STEP; i++) {
+      midiOutput.sendToPort(portId.value, [MIDI_CLOCK_MESSAGES.clock], audioEngine.toPerformanceTime(time + i * tickDuration))
+    }
+  }
+
+  // Al arrancar: posición (en semicorcheas) y start desde el principio o continue desde donde esté
+  const sendTransportStart = (pulse) => {
+    if (mode.value !== 'master' || !portId.value) return
+    midiOutput.sendToPort(portId.value, songPositionMessage(pulse))
+    midiOutput.sendToPort(portId.value, [pulse === 0 ? MIDI_CLOCK_MESSAGES.start : MIDI_CLOCK_MESSAGES.continue])
+  }
+
+  const sendTransportStop = () => {
+    if (mode.value !== 'master' || !portId.value) return
+    midiOutput.sendToPort(portId.value, [MIDI_CLOCK_MESSAGES.stop])
+  }
+
+  // ---- Selección de modo ----
+
+  /**
+   * Cambiar el modo de sincronización.
+   * external: `input` es la fuente de reloj; master: `port` es el id del puerto de salida.
+   */
+  const setMode = (nextMode, { input = null, port = null } = {}) => {
+    if (mode.value === 'master') sendTransportStop()
+    disconnectSource()
+
+    if (nextMode === 'external') {
+      connectSource(input)
+      portId.value = input.id ?? null
+      audioEngine.setExternalClock(true)
+    } else {
+      audioEngine.setExternalClock(false)
+      portId.value = nextMode === 'master' ? port : null
+    }
+    mode.value = nextMode === 'external' || nextMode === 'master' ? nextMode : 'internal'
+  }
+
+  return {
+    // Estado
+    mode,
+    portId,
+    externalBpm,
+    externalRunning,
+
+    // Modo esclavo
+    connectSource,
+    disconnectSource,
+    handleClockMessage,
+
+    // Modo maestro
+    handleInternalPulse,
+    sendTransportStart,
+    sendTransportStop,
+
+    setMode
+  }
+}
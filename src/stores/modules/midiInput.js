@@ -0,0 +1,174 @@
+import { ref, shallowRef, computed } from 'vue'
+import { parseMidiMessage, midiSourceKey, requestWebMidiInputs } from '../../services/midiInputService'
+import { loadControllerProfile, saveControllerProfile } from '../../services/controllerProfileService'
+
+// Longitudes que recorre un control continuo asignado al tamaño del loop (las del slider de LoopCard)
+export const MIDI_LOOP_LENGTHS = [4, 8, 12, 16, 32, 48, 64, 128, 256, 512]
+
+// Clave única de un destino: { action, loopId?, param? }
+export const midiTargetKey = ({ action, loopId = null, param = null }) => [action, loopId ?? '', param ?? ''].join(':')
+
+/**
+ * Entrada de controladores MIDI con MIDI-learn.
+ * Cada asignación une un origen (CC o nota de un canal) con un destino de la interfaz;
+ * el store decide qué hacer con cada destino mediante setControlHandler.
+ * Las entradas son intercambiables (ver midiInputService): Web MIDI o dispositivos simulados.
+ */
+export const useMidiInput = () => {
+  const webMidiEnabled = ref(false)
+  const learnMode = ref(false)
+  const learnTarget = ref(null)
+  // [{ target: { action, loopId, param }, source: { type, channel, number } }]
+  const bindings = ref(loadControllerProfile().bindings)
+  const inputs = shallowRef([])
+
+  const listeners = new Map() // id de entrada -> { input, listener }
+  const lastValues = new Map() // origen -> último valor recibido (flancos de CC)
+  let controlHandler = null
+
+  const connectedInputs = computed(() => inputs.value.map(input => ({ id: input.id, name: input.name || input.id })))
+
+  const setControlHandler = (handler) => {
+    controlHandler = handler
+  }
+
+  const persistBindings = () => {
+    saveControllerProfile({ bindings: bindings.value })
+  }
+
+  const bind = (target, source) => {
+    const key = midiTargetKey(target)
+    const sourceKey = midiSourceKey(source)
+    // Un destino tiene un solo origen y un origen controla un solo destino
+    bindings.value = [
+      ...bindings.value.filter(binding => midiTargetKey(binding.target) !== key && midiSourceKey(binding.source) !== sourceKey),
+      { target: { ...target }, source: { type: source.type, channel: source.channel, number: source.number } }
+    ]
+    persistBindings()
+  }
+
+  const removeBinding = (target) => {
+    const key = midiTargetKey(target)
+    bindings.value = bindings.value.filter(binding => midiTargetKey(binding.target) !== key)
+    persistBindings()
+  }
+
+  const clearBindings = () => {
+    bindings.value = []
+    persistBindings()
+  }
+
+  const getBinding = (target) => {
+    const key = midiTargetKey(target)
+    return bindings.value.find(binding => midiTargetKey(binding.target) === key) || null
+  }
+
+  const setLearnMode = (enabled) => {
+    learnMode.value = Boolean(enabled)
+    if (!learnMode.value) learnTarget.value = null
+  }
+
+  // El siguiente CC o nota pulsada se asigna a `target`
+  const startLearn = (target) => {
+    learnMode.value = true
+    learnTarget.value = { ...target }
+  }
+
+  const cancelLearn = () => {
+    learnTarget.value = null
+  }
+
+  const isLearning = (target) => Boolean(learnTarget.value) && midiTargetKey(learnTarget.value) === midiTargetKey(target)
+
+  /**
+   * Procesar un mensaje MIDI entrante (bytes).
+   * El handler recibe (target, { value (0-1), triggered, message }); `triggered` marca
+   * una pulsación: nota pulsada o CC que cruza la mitad hacia arriba.
+   */
+  const handleMessage = (data) => {
+    const message = parseMidiMessage(data)
+    if (!message) return
+
+    const sourceKey = midiSourceKey(message)
+    const previous = lastValues.get(sourceKey) ?? 0
+    lastValues.set(sourceKey, message.value)
+
+    if (learnTarget.value) {
+      // Se ignoran las liberaciones de nota para no asignar el note-off
+      if (message.type === 'note' && !message.pressed) return
+      bind(learnTarget.value, message)
+      learnTarget.value = null
+      return
+    }
+
+    const triggered = message.type === 'note' ? message.pressed : (message.value >= 0.5 && previous < 0.5)
+    bindings.value.forEach(binding => {
+      if (midiSourceKey(binding.source) !== sourceKey || !controlHandler) return
+      // Las notas solo actúan al pulsarse
+      if (message.type === 'note' && !message.pressed) return
+      controlHandler(binding.target, { value: message.value, triggered, message })
+    })
+  }
+
+  // Conectar una entrada (Web MIDI o simulada); reemplaza a la de mismo id
+  const connectInput = (input) => {
+    if (!input || typeof input.addEventListener !== 'function') throw new Error('Entrada MIDI inválida')
+    disconnectInput(input.id)
+    const listener = (event) => handleMessage(event.data)
+    input.addEventListener('midimessage', listener)
+    listeners.set(input.id, { input, listener })
+    inputs.value = [...inputs.value, input]
+    return input
+  }
+
+  const disconnectInput = (inputId) => {
+    const entry = listeners.get(inputId)
+    if (!entry) return
+    entry.input.removeEventListener('midimessage', entry.listener)
+    listeners.delete(inputId)
+    inputs.value = inputs.value.filter(input => input.id !== inputId)
+  }
+
+  const getInput = (inputId) => listeners.get(inputId)?.input ?? null
+
+  // Sincronizar las entradas Web MIDI conectadas (las simuladas se conservan)
+  let webInputIds = new Set()
+  const syncWebInputs = (list) => {
+    const nextIds = new Set(list.map(input => input.id))
+    webInputIds.forEach(id => { if (!nextIds.has(id)) disconnectInput(id) })
+    list.forEach(input => { if (!listeners.has(input.id)) connectInput(input) })
+    webInputIds = nextIds
+  }
+
+  const enableWebMidi = async () => {
+    syncWebInputs(await requestWebMidiInputs(syncWebInputs))
+    webMidiEnabled.value = true
+    return connectedInputs.value
+  }
+
+  return {
+    // Estado
+    webMidiEnabled,
+    learnMode,
+    learnTarget,
+    bindings,
+    connectedInputs,
+
+    // Entradas
+    connectInput,
+    disconnectInput,
+    getInput,
+    enableWebMidi,
+    handleMessage,
+
+    // MIDI-learn
+    setControlHandler,
+    setLearnMode,
+    startLearn,
+    cancelLearn,
+    isLearning,
+    getBinding,
+    removeBinding,
+    clearBindings
+  }
+}
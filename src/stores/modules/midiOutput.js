@@ -0,0 +1,198 @@
+import { ref, shallowRef, computed } from 'vue'
+import {
+  noteOnMessage,
+  noteOffMessage,
+  controlChangeMessage,
+  MIDI_CC,
+  requestWebMidiOutputs
+} from '../../services/midiOutputService'
+
+// Antelación con la que se envía cada note-off programado (ms). Debe ser menor que la
+// anticipación del transporte de Tone (100 ms): así cualquier nota que empiece antes
+// del note-off llega antes que él y puede descartarlo
+const NOTE_OFF_LEAD_MS = 20
+
+/**
+ * Enrutado MIDI por loop: cada loop puede enviar sus notas a un puerto y canal,
+ * con opción de silenciar su sintetizador interno. Los puertos son intercambiables
+ * (ver midiOutputService): salidas Web MIDI o cualquier objeto registrado con registerOutput.
+ */
+export const useMidiOutput = () => {
+  const webMidiEnabled = ref(false)
+  const webOutputs = shallowRef([])
+  const customOutputs = shallowRef([])
+  // loopId -> { portId, channel (0-15), muteInternal }
+  const routes = ref({})
+
+  // Notas abiertas por puerto, canal y altura: `${portId}:${channel}:${pitch}` -> { offTimestamp, timer }.
+  // El note-off se envía poco antes de su hora para poder descartarlo si la misma altura
+  // se redispara antes (una compuerta larga no debe cortar la nota siguiente)
+  const openNotes = new Map()
+  let webMidiRequest = null
+
+  const outputs = computed(() => [...webOutputs.value, ...customOutputs.value])
+  const availableOutputs = computed(() => outputs.value.map(port => ({ id: port.id, name: port.name || port.id })))
+
+  const findPort = (portId) => outputs.value.find(port => port.id === portId) || null
+
+  // Registrar un puerto propio (p. ej. createMemoryMidiOutput); reemplaza al de mismo id
+  const registerOutput = (port) => {
+    if (!port || typeof port.send !== 'function') throw new Error('Puerto MIDI inválido: falta send()')
+    customOutputs.value = [...customOutputs.value.filter(existing => existing.id !== port.id), port]
+    return port
+  }
+
+  const unregisterOutput = (portId) => {
+    customOutputs.value = customOutputs.value.filter(port => port.id !== portId)
+  }
+
+  // Una sola petición de acceso: cada una añadiría otro listener de statechange,
+  // y el primero ya mantiene la lista de salidas al día
+  const enableWebMidi = async () => {
+    if (!webMidiRequest) {
+      webMidiRequest = requestWebMidiOutputs(list => { webOutputs.value = list })
+        .then(list => {
+          webOutputs.value = list
+          webMidiEnabled.value = true
+        })
+        .catch(error => {
+          webMidiRequest = null
+          throw error
+        })
+    }
+    await webMidiRequest
+    return availableOutputs.value
+  }
+
+  const getLoopRoute = (loopId) => routes.value[loopId] ?? null
+
+  // Puerto y ruta del loop solo si el puerto sigue disponible
+  const resolveRoute = (loopId) => {
+    const route = routes.value[loopId]
+    if (!route) return null
+    const port = findPort(route.portId)
+    return port ? { ...route, port } : null
+  }
+
+  // ¿Debe el loop callar su sintetizador interno? (solo si su puerto está conectado)
+  const isInternalMuted = (loopId) => Boolean(resolveRoute(loopId)?.muteInternal)
+
+  /**
+   * Asignar la salida de un loop. `portId` null quita la ruta.
+   * Los campos omitidos conservan su valor anterior.
+   */
+  const setLoopRoute = (loopId, { portId, channel, muteInternal } = {}) => {
+    const current = routes.value[loopId] || { portId: null, channel: 0, muteInternal: false }
+    const next = {
+      portId: portId !== undefined ? portId : current.portId,
+      channel: channel !== undefined ? Math.max(0, Math.min(15, Math.round(channel))) : current.channel,
+      muteInternal: muteInternal !== undefined ? Boolean(muteInternal) : current.muteInternal
+    }
+
+    const updated = { ...routes.value }
+    if (next.portId === null || next.portId === undefined) {
+      if (current.portId) allNotesOff(loopId)
+      delete updated[loopId]
+    } else {
+      if (current.portId && (current.portId !== next.portId || current.channel !== next.channel)) allNotesOff(loopId)
+      updated[loopId] = next
+    }
+    routes.value = updated
+    return updated[loopId] ?? null
+  }
+
+  const scheduleNoteOff = (key, port, channel, pitch, offTimestamp) => {
+    const delay = Math.max(0, offTimestamp - performance.now() - NOTE_OFF_LEAD_MS)
+    const timer = setTimeout(() => {
+      if (openNotes.get(key)?.timer !== timer) return
+      openNotes.delete(key)
+      port.send(noteOffMessage(channel, pitch), offTimestamp)
+    }, delay)
+    openNotes.set(key, { offTimestamp, timer })
+  }
+
+  /**
+   * Enviar una nota (o acorde) del loop: note-on en `timestamp` y note-off
+   * `durationSeconds` después, ambos en milisegundos de performance.now().
+   * Si la misma altura sigue sonando en el puerto y canal, se corta justo antes de redispararla.
+   */
+  const sendNote = (loopId, note, velocity, durationSeconds, timestamp) => {
+    const route = resolveRoute(loopId)
+    if (!route) return false
+
+    const notes = Array.isArray(note) ? note : [note]
+    const offTimestamp = timestamp + Math.max(1, durationSeconds * 1000)
+    notes.forEach(pitch => {
+      const key = `${route.port.id}:${route.channel}:${pitch}`
+      const open = openNotes.get(key)
+      if (open) {
+        clearTimeout(open.timer)
+        route.port.send(noteOffMessage(route.channel, pitch), Math.min(open.offTimestamp, timestamp))
+      }
+      route.port.send(noteOnMessage(route.channel, pitch, velocity), timestamp)
+      scheduleNoteOff(key, route.port, route.channel, pitch, offTimestamp)
+    })
+    return true
+  }
+
+  // Volumen (CC7) y panorama (CC10) del loop en su canal
+  const sendLoopMix = (loopId, { volume, pan } = {}) => {
+    const route = resolveRoute(loopId)
+    if (!route) return false
+
+    if (volume !== undefined) route.port.send(controlChangeMessage(route.channel, MIDI_CC.volume, volume * 127))
+    if (pan !== undefined) route.port.send(controlChangeMessage(route.channel, MIDI_CC.pan, (pan + 1) * 63.5))
+    return true
+  }
+
+  // Enviar un mensaje cualquiera (p. ej. reloj) a un puerto; false si no está disponible
+  const sendToPort = (portId, data, timestamp = undefined) => {
+    const port = findPort(portId)
+    if (!port) return false
+    port.send(data, timestamp)
+    return true
+  }
+
+  // Cortar notas pendientes: de un loop o de todos los loops enrutados
+  const allNotesOff = (loopId = null) => {
+    const loopIds = loopId === null ? Object.keys(routes.value) : [loopId]
+    loopIds.forEach(id => {
+      const route = resolveRoute(id)
+      if (!route) return
+      // MIDIOutput.clear() descarta todo lo programado en el puerto (también de otros loops):
+      // solo al parar todo; para un loop bastan sus note-off ya programados
+      if (loopId === null && typeof route.port.clear === 'function') route.port.clear()
+      // Las notas abiertas del canal quedan cortadas: sus note-off pendientes sobran
+      const prefix = `${route.port.id}:${route.channel}:`
+      openNotes.forEach((open, key) => {
+        if (!key.startsWith(prefix)) return
+        clearTimeout(open.timer)
+        openNotes.delete(key)
+      })
+      route.port.send(controlChangeMessage(route.channel, MIDI_CC.allNotesOff, 0))
+    })
+  }
+
+  return {
+    // Estado
+    webMidiEnabled,
+    routes,
+    availableOutputs,
+
+    // Puertos
+    registerOutput,
+    unregisterOutput,
+    enableWebMidi,
+
+    // Enrutado
+    getLoopRoute,
+    setLoopRoute,
+    isInternalMuted,
+
+    // Envío
+    sendNote,
+    sendLoopMix,
+    sendToPort,
+    allNotesOff
+  }
+}
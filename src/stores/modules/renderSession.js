@@ -0,0 +1,54 @@
+import { ref } from 'vue'
+import { useNotesMatrix } from '../../composables/useNotesMatrix'
+import { useLoopManager, LOOP_AUDIO_NODES } from './loopManager'
+import { useEvolutionSystem } from './evolutionSystem'
+
+// Copia de un loop sin sus nodos de audio (el render crea sus propias cadenas)
+const cloneLoop = (loop) => {
+  const copy = {
+    ...loop,
+    stepRate: { ...loop.stepRate },
+    stepOffsets: loop.stepOffsets ? [...loop.stepOffsets] : null,
+    envelope: { ...loop.envelope }
+  }
+  LOOP_AUDIO_NODES.forEach(node => { copy[node] = null })
+  return copy
+}
+
+/**
+ * Copia aislada del estado musical para los renders offline (WAV, stems y MIDI).
+ * Tiene su propia matriz, sus loops, sus cabezales de reproducción y su sistema de
+ * evolución, con los mismos campos que la sesión en vivo (refs de escala, tónica,
+ * historial...): lo que la evolución cambie durante el render no toca la sesión ni el preset.
+ * `live` aporta los módulos y refs de la sesión en vivo que se copian.
+ */
+export const createRenderSession = (live) => {
+  const notesMatrix = useNotesMatrix()
+  notesMatrix.importMatrix(live.notesMatrix.exportMatrix())
+  notesMatrix.setFavorChordTones(live.notesMatrix.matrixState.favorChordTones)
+
+  const loopManager = useLoopManager(notesMatrix)
+  loopManager.setGlobalRootNote(live.loopManager.getGlobalRootNote())
+  loopManager.loops.value = live.loopManager.loops.value.map(cloneLoop)
+
+  const evolution = useEvolutionSystem(notesMatrix)
+  evolution.updateEvolutionSettings({
+    interval: live.evolution.evolutionInterval.value,
+    intensity: live.evolution.evolutionIntensity.value,
+    creativeMode: live.evolution.creativeModeEnabled.value
+  })
+  evolution.updateEvolutionTypes(live.evolution.evolutionTypes.value)
+  evolution.updateMutationProbabilities(live.evolution.mutationProbabilities.value)
+
+  return {
+    notesMatrix,
+    loopManager,
+    evolution,
+    scale: ref(live.scale.value),
+    rootNote: ref(live.rootNote.value),
+    recentScales: ref([...live.recentScales.value]),
+    tensionPhase: ref(live.tensionPhase.value),
+    lastResponderId: ref(live.lastResponderId.value),
+    lastCallerId: ref(live.lastCallerId.value)
+  }
+}
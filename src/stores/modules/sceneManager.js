@@ -0,0 +1,119 @@
+import { ref } from 'vue'
+
+// Parámetros de mezcla que guarda cada escena por loop y por grupo
+export const SCENE_LOOP_PARAMS = ['volume', 'pan', 'delayAmount', 'reverbAmount']
+export const SCENE_GROUP_PARAMS = ['gain', 'muted', 'solo', 'delaySend', 'reverbSend']
+
+const generateSceneId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6)
+
+/**
+ * Escenas: instantáneas de qué loops suenan y su mezcla (y opcionalmente sus notas),
+ * como las filas de un lanzador de clips. El store las aplica (ver audioStore.applyScene).
+ * Una escena de grupo (`groupId`) solo captura y aplica los loops de ese grupo y su bus.
+ */
+export const useSceneManager = (notesMatrix = null) => {
+  const scenes = ref([])
+  const activeSceneId = ref(null)
+  const pendingSceneId = ref(null) // escena en cola esperando la frontera de lanzamiento
+
+  // Copia serializable del estado de los loops
+  const captureLoops = (loops, { includeNotes = false } = {}) => loops.map(loop => {
+    const snapshot = { id: loop.id, isActive: Boolean(loop.isActive) }
+    SCENE_LOOP_PARAMS.forEach(param => { snapshot[param] = loop[param] })
+
+    if (includeNotes && notesMatrix) {
+      const notes = notesMatrix.getLoopNotes(loop.id)
+      snapshot.notes = notes.map(note => (Array.isArray(note) ? [...note] : note))
+      snapshot.lanes = notesMatrix.getLoopLanes(loop.id)
+      snapshot.length = loop.length
+      snapshot.baseNote = loop.baseNote
+    }
+    return snapshot
+  })
+
+  const captureGroups = (groups) => groups.map(group => {
+    const snapshot = { id: group.id }
+    SCENE_GROUP_PARAMS.forEach(param => { snapshot[param] = group[param] })
+    return snapshot
+  })
+
+  const captureTarget = (loops, groups, { groupId = null, includeNotes = false } = {}) => ({
+    loops: captureLoops(groupId ? loops.filter(loop => loop.groupId === groupId) : loops, { includeNotes }),
+    groups: captureGroups(groupId ? groups.filter(group => group.id === groupId) : groups)
+  })
+
+  const addScene = (loops, { name = null, includeNotes = false, groupId = null, groups = [] } = {}) => {
+    const scene = {
+      id: generateSceneId(),
+      name: name?.trim() || `Escena ${scenes.value.length + 1}`,
+      includeNotes: Boolean(includeNotes),
+      groupId,
+      ...captureTarget(loops, groups, { groupId, includeNotes })
+    }
+    scenes.value = [...scenes.value, scene]
+    return scene
+  }
+
+  // Volver a capturar una escena existente conservando su nombre y si incluye notas
+  const overwriteScene = (sceneId, loops, groups = []) => {
+    const scene = getScene(sceneId)
+    if (!scene) return null
+    const updated = { ...scene, ...captureTarget(loops, groups, scene) }
+    scenes.value = scenes.value.map(existing => (existing.id === sceneId ? updated : existing))
+    return updated
+  }
+
+  const renameScene = (sceneId, name) => {
+    if (!name?.trim()) return
+    scenes.value = scenes.value.map(scene => (scene.id === sceneId ? { ...scene, name: name.trim() } : scene))
+  }
+
+  const deleteScene = (sceneId) => {
+    scenes.value = scenes.value.filter(scene => scene.id !== sceneId)
+    if (activeSceneId.value === sceneId) activeSceneId.value = null
+  }
+
+  // Quitar un loop borrado de todas las escenas (su id puede reutilizarlo un loop nuevo)
+  const forgetLoop = (loopId) => {
+    scenes.value = scenes.value.map(scene => ({ ...scene, loops: scene.loops.filter(saved => saved.id !== loopId) }))
+  }
+
+  const getScene = (sceneId) => scenes.value.find(scene => scene.id === sceneId) || null
+
+  const setActiveScene = (sceneId) => {
+    activeSceneId.value = sceneId
+  }
+
+  // Presets: exportar una copia y reemplazar la lista al cargar (los datos inválidos se descartan)
+  const exportScenes = () => JSON.parse(JSON.stringify(scenes.value))
+
+  const importScenes = (list) => {
+    scenes.value = (Array.isArray(list) ? list : [])
+      .filter(scene => scene && Array.isArray(scene.loops))
+      .map((scene, index) => ({
+        id: scene.id || generateSceneId(),
+        name: scene.name || `Escena ${index + 1}`,
+        includeNotes: Boolean(scene.includeNotes),
+        groupId: scene.groupId ?? null,
+        loops: scene.loops,
+        groups: Array.isArray(scene.groups) ? scene.groups : []
+      }))
+    activeSceneId.value = null
+    pendingSceneId.value = null
+  }
+
+  return {
+    scenes,
+    activeSceneId,
+    pendingSceneId,
+    addScene,
+    overwriteScene,
+    renameScene,
+    deleteScene,
+    forgetLoop,
+    getScene,
+    setActiveScene,
+    exportScenes,
+    importScenes
+  }
+}
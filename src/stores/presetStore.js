@@ -17,6 +17,7 @@ export const usePresetStore = defineStore('preset', () => {
   const presets = ref([])
   const currentPresetId = ref(null)
   const isLoading = ref(false)
+  const pendingPresetId = ref(null) // preset en cola esperando la frontera de lanzamiento
   const hasUnsavedChanges = ref(false)
   const lastSaveTime = ref(null)
   const autoSaveEnabled = ref(true)
@@ -73,7 +74,18 @@ export const usePresetStore = defineStore('preset', () => {
       tempo: audioStore.tempo,
       masterVol: audioStore.masterVol,
       currentScale: audioStore.currentScale,
+      rootNote: audioStore.rootNote,
       delayDivision: audioStore.delayDivision,
+      swingAmount: audioStore.swingAmount,
+      grooveTemplate: audioStore.grooveTemplate,
+      launchQuantize: audioStore.launchQuantize,
+
+      // Línea de tiempo armónica
+      harmonyEnabled: audioStore.harmonyEnabled,
+      harmonyProgression: audioStore.harmonyProgression,
+      harmonyBarsPerChord: audioStore.harmonyBarsPerChord,
+      harmonyMode: audioStore.harmonyMode,
+      harmonySevenths: audioStore.harmonySevenths,
 
       // Configuración de evolución automática
       autoEvolve: audioStore.autoEvolve,
@@ -90,15 +102,21 @@ export const usePresetStore = defineStore('preset', () => {
       // Gestión de energía sonora
       energyManagementEnabled: audioStore.energyManagementEnabled,
       maxSonicEnergy: audioStore.maxSonicEnergy,
-      energyReductionFactor: audioStore.energyReductionFactor
+      energyReductionFactor: audioStore.energyReductionFactor,
+      countSilencedLoops: audioStore.countSilencedLoops,
+      maxLoops: audioStore.maxLoops
     }
 
     // Capturar configuración de loops - save "as is"
-    // Notes matrix data (including density and notes) is NOT saved - it will be regenerated on load
+    // Las notas se guardan aparte con la matriz completa (ver `matrix` abajo)
     const loops = audioStore.loops.map(loop => {
+      const meta = audioStore.loopMetadata?.[loop.id]
       return {
         id: loop.id,
         isActive: loop.isActive,
+        // El mute se guarda; el solo es una escucha momentánea y no
+        muted: loop.muted ?? false,
+        groupId: loop.groupId ?? null,
         // scale removed - uses global scale from audioStore.currentScale
         baseNote: loop.baseNote,
         synthType: loop.synthModel || loop.synthType || 'PolySynth',
@@ -108,6 +126,16 @@ export const usePresetStore = defineStore('preset', () => {
         reverbAmount: loop.reverbAmount,
         volume: loop.volume,
         pan: loop.pan,
+        noteRangeMin: meta?.noteRangeMin,
+        noteRangeMax: meta?.noteRangeMax,
+        chordMode: meta?.chordMode ?? false,
+        swing: loop.swing ?? null,
+        groove: loop.groove ?? null,
+        stepOffsets: loop.stepOffsets ? [...loop.stepOffsets] : null,
+        stepRate: loop.stepRate ? { ...loop.stepRate } : null,
+        playMode: loop.playMode ?? null,
+        // Pistas por paso: velocidad, gate y probabilidad
+        lanes: audioStore.getLoopLanes ? audioStore.getLoopLanes(loop.id) : null,
         envelope: { ...loop.envelope },
         harmonicity: loop.harmonicity,
         modulationIndex: loop.modulationIndex,
@@ -115,9 +143,25 @@ export const usePresetStore = defineStore('preset', () => {
       }
     })
 
+    // Matriz de notas completa (notas, pistas por paso y metadatos) para recuperar el patrón exacto
+    const matrix = audioStore.exportMatrix ? audioStore.exportMatrix() : null
+
+    // Escenas del lanzador (loops activos y mezcla por escena)
+    const scenes = audioStore.exportScenes ? audioStore.exportScenes() : []
+
+    // Grupos de submezcla (buses, objetivos de evolución y energía)
+    const groups = audioStore.exportLoopGroups ? audioStore.exportLoopGroups() : null
+
+    // Arreglo del modo canción (secciones y marcadores)
+    const arrangement = audioStore.exportArrangement ? audioStore.exportArrangement() : null
+
     return {
       globalConfig,
-      loops
+      loops,
+      matrix,
+      scenes,
+      groups,
+      arrangement
     }
   }
 
@@ -133,10 +177,27 @@ export const usePresetStore = defineStore('preset', () => {
     // Aplicar configuración global - read values "as is"
     const { globalConfig, loops: presetLoops } = preset
 
+    // Los grupos van antes que los loops para poder asignarlos
+    if (audioStore.importLoopGroups) audioStore.importLoopGroups(preset.groups ?? null)
+
     // Update global config directly without type validation
     if (globalConfig.tempo !== undefined) audioStore.updateTempo(globalConfig.tempo)
     if (globalConfig.masterVol !== undefined) audioStore.updateMasterVolume(globalConfig.masterVol * 100)
     if (globalConfig.currentScale !== undefined) audioStore.updateScale(globalConfig.currentScale)
+    // Presets antiguos sin tonalidad están en C
+    audioStore.updateRootNote(globalConfig.rootNote ?? 0)
+    // Presets antiguos sin groove vuelven a tiempo recto
+    audioStore.updateSwing(globalConfig.swingAmount ?? 0)
+    audioStore.updateGrooveTemplate(globalConfig.grooveTemplate ?? 'straight')
+    // Presets antiguos sin cuantización conservan la actual
+    if (globalConfig.launchQuantize !== undefined) audioStore.setLaunchQuantize(globalConfig.launchQuantize)
+    audioStore.updateHarmonicTimeline({
+      progression: globalConfig.harmonyProgression ?? 'popMajor',
+      barsPerChord: globalConfig.harmonyBarsPerChord ?? 2,
+      mode: globalConfig.harmonyMode ?? 'transpose',
+      sevenths: globalConfig.harmonySevenths ?? false
+    })
+    audioStore.setHarmonicTimelineEnabled(globalConfig.harmonyEnabled ?? false)
 
     // Evolution config
     if (globalConfig.autoEvolve !== undefined) audioStore.autoEvolve = globalConfig.autoEvolve
@@ -158,16 +219,25 @@ export const usePresetStore = defineStore('preset', () => {
     if (globalConfig.energyManagementEnabled !== undefined) audioStore.energyManagementEnabled = globalConfig.energyManagementEnabled
     if (globalConfig.maxSonicEnergy !== undefined) audioStore.maxSonicEnergy = globalConfig.maxSonicEnergy
     if (globalConfig.energyReductionFactor !== undefined) audioStore.energyReductionFactor = globalConfig.energyReductionFactor
+    if (globalConfig.countSilencedLoops !== undefined) audioStore.updateCountSilencedLoops(globalConfig.countSilencedLoops)
+
+    // El preset trae sus propios loops: se crean los que falten y sobran los demás.
+    // Presets antiguos sin id usan la posición (los 8 loops fijos de antes)
+    const presetLoopId = (presetLoop, index) => presetLoop.id ?? index
+    if (audioStore.syncLoopIds) audioStore.syncLoopIds(presetLoops.map(presetLoopId))
+    if (audioStore.setMaxLoops && globalConfig.maxLoops !== undefined) audioStore.setMaxLoops(globalConfig.maxLoops)
 
     // Apply loop configuration directly "as is"
     presetLoops.forEach((presetLoop, index) => {
-      const loop = audioStore.loops[index]
+      const loopId = presetLoopId(presetLoop, index)
+      const loop = audioStore.getLoop(loopId)
+      if (!loop) return
 
       // Apply loop properties directly without validation
       // Set active state
       const targetActiveState = presetLoop.isActive !== undefined ? presetLoop.isActive : false
       if (audioStore.setLoopActive) {
-        audioStore.setLoopActive(index, targetActiveState)
+        audioStore.setLoopActive(loopId, targetActiveState)
       } else {
         loop.isActive = targetActiveState
       }
@@ -181,7 +251,7 @@ export const usePresetStore = defineStore('preset', () => {
 
       if (presetLoop.length !== undefined && audioStore.updateLoopParam) {
         // Always use updateLoopParam to ensure proper reactivity and matrix updates
-        audioStore.updateLoopParam(index, 'length', presetLoop.length)
+        audioStore.updateLoopParam(loopId, 'length', presetLoop.length)
       }
 
       // Delay and reverb amounts are only changed through updateLoopParam (same as sliders)
@@ -210,17 +280,30 @@ export const usePresetStore = defineStore('preset', () => {
         if (loop.harmonicity !== undefined) synthConfig.harmonicity = loop.harmonicity
         if (loop.modulationIndex !== undefined) synthConfig.modulationIndex = loop.modulationIndex
 
-        audioStore.updateLoopSynth(index, synthConfig)
+        audioStore.updateLoopSynth(loopId, synthConfig)
       }
 
       // Update effect parameters
       if (audioStore.updateLoopParam) {
-        if (presetLoop.delayAmount !== undefined) audioStore.updateLoopParam(index, 'delayAmount', presetLoop.delayAmount)
-        if (presetLoop.reverbAmount !== undefined) audioStore.updateLoopParam(index, 'reverbAmount', presetLoop.reverbAmount)
-        if (presetLoop.volume !== undefined) audioStore.updateLoopParam(index, 'volume', presetLoop.volume)
-        if (presetLoop.pan !== undefined) audioStore.updateLoopParam(index, 'pan', presetLoop.pan)
+        if (presetLoop.delayAmount !== undefined) audioStore.updateLoopParam(loopId, 'delayAmount', presetLoop.delayAmount)
+        if (presetLoop.reverbAmount !== undefined) audioStore.updateLoopParam(loopId, 'reverbAmount', presetLoop.reverbAmount)
+        if (presetLoop.volume !== undefined) audioStore.updateLoopParam(loopId, 'volume', presetLoop.volume)
+        if (presetLoop.pan !== undefined) audioStore.updateLoopParam(loopId, 'pan', presetLoop.pan)
+        // Presets antiguos sin rango vuelven al rango completo
+        audioStore.updateLoopParam(loopId, 'noteRange', [presetLoop.noteRangeMin ?? 24, presetLoop.noteRangeMax ?? 96])
+        audioStore.updateLoopParam(loopId, 'chordMode', presetLoop.chordMode ?? false)
+        audioStore.updateLoopParam(loopId, 'swing', presetLoop.swing ?? null)
+        audioStore.updateLoopParam(loopId, 'groove', presetLoop.groove ?? null)
+        audioStore.updateLoopParam(loopId, 'stepOffsets', presetLoop.stepOffsets ?? null)
+        // Presets anteriores a la resolución por loop: todos a semicorcheas
+        audioStore.updateLoopParam(loopId, 'stepRate', presetLoop.stepRate ?? null)
+        audioStore.updateLoopParam(loopId, 'playMode', presetLoop.playMode ?? null)
       }
+
+      if (audioStore.setLoopMuted) audioStore.setLoopMuted(loopId, presetLoop.muted ?? false)
+      if (audioStore.setLoopGroup) audioStore.setLoopGroup(loopId, presetLoop.groupId ?? null)
     })
+    if (audioStore.clearSolos) audioStore.clearSolos()
 
     // Update global parameters directly
     if (audioStore.updateTempo && globalConfig.tempo !== undefined) {
@@ -246,27 +329,49 @@ export const usePresetStore = defineStore('preset', () => {
       }
     }
 
-    // Generate notes for all active loops - calculate density from existing matrix or use default
-    if (audioStore.loopManager && Array.isArray(audioStore.loops) && Array.isArray(presetLoops)) {
+    // Las escenas pertenecen al preset: uno sin escenas deja la lista vacía
+    if (audioStore.importScenes) audioStore.importScenes(preset.scenes ?? [])
+    // Igual con el arreglo (sus secciones pueden apuntar a escenas de este preset)
+    if (audioStore.importArrangement) audioStore.importArrangement(preset.arrangement ?? null)
+
+    // Restaurar las notas guardadas salvo que se pida re-generarlas (o el preset no las tenga)
+    const restoreNotes = !options.rerollNotes && Boolean(preset.matrix) && Boolean(audioStore.importMatrix)
+    if (restoreNotes && audioStore.importMatrix(preset.matrix)) {
+      // Sincronizar los loops con los metadatos importados
+      audioStore.loops.forEach(loop => {
+        const meta = audioStore.loopMetadata?.[loop.id]
+        if (!loop || !meta) return
+        loop.length = meta.length
+        if (meta.baseNote !== undefined) loop.baseNote = meta.baseNote
+      })
+    } else if (audioStore.loopManager && Array.isArray(audioStore.loops) && Array.isArray(presetLoops)) {
+      // Generate notes for all active loops - calculate density from existing matrix or use default
       // Get global scale from audioStore
       const globalScale = audioStore.getScale(audioStore.currentScale)
       const globalScaleName = audioStore.currentScale
 
-      audioStore.loops.forEach((loop, index) => {
+      audioStore.loops.forEach(loop => {
         if (!loop || !loop.isActive) return
 
         // Calculate density from existing notes in matrix if available, otherwise use default
         let density = 0.4
         if (audioStore.notesMatrix && audioStore.notesMatrix.getLoopNoteDensity) {
-          const calculatedDensity = audioStore.notesMatrix.getLoopNoteDensity(index)
+          const calculatedDensity = audioStore.notesMatrix.getLoopNoteDensity(loop.id)
           if (calculatedDensity > 0) {
             density = calculatedDensity
           }
         }
 
         // Use global scale for all loops
-        audioStore.loopManager.regenerateLoop(index, globalScale, globalScaleName, density, null)
+        audioStore.loopManager.regenerateLoop(loop.id, globalScale, globalScaleName, density, null)
       })
+
+      // Restaurar las pistas por paso guardadas (la regeneración crea pistas nuevas)
+      if (audioStore.setLoopLanes) {
+        presetLoops.forEach((presetLoop, index) => {
+          if (presetLoop.lanes) audioStore.setLoopLanes(presetLoopId(presetLoop, index), presetLoop.lanes)
+        })
+      }
     }
 
     // Force reactivity update for loops (they use shallowRef)
@@ -300,7 +405,8 @@ export const usePresetStore = defineStore('preset', () => {
   }
 
   // Cargar preset
-  const loadPreset = async (presetId) => {
+  // options.rerollNotes: aplicar la configuración pero generar notas nuevas
+  const loadPreset = async (presetId, options = {}) => {
     isLoading.value = true
     const preset = await getPresetById(presetId)
 
@@ -309,7 +415,20 @@ export const usePresetStore = defineStore('preset', () => {
       throw new Error('Preset not found')
     }
 
-    await applyPresetToState(preset)
+    // Con el transporte en marcha la carga espera a la frontera de la cuantización de lanzamiento;
+    // si otra carga la sustituye antes, esta no llega a aplicarse
+    const audioStore = useAudioStore()
+    let applied = false
+    pendingPresetId.value = presetId
+    await audioStore.schedulePresetLaunch(async () => {
+      await applyPresetToState(preset, options)
+      applied = true
+    })
+    if (pendingPresetId.value === presetId) pendingPresetId.value = null
+    if (!applied) {
+      isLoading.value = false
+      return null
+    }
     currentPresetId.value = presetId
     hasUnsavedChanges.value = false
     lastSaveTime.value = new Date()
@@ -496,6 +615,12 @@ export const usePresetStore = defineStore('preset', () => {
       }
     })
 
+    watch(() => audioStore.rootNote, () => {
+      if (!isLoadingPreset.value && autoSaveEnabled.value) {
+        handleChange()
+      }
+    })
+
     watch(() => audioStore.currentScale, () => {
       if (!isLoadingPreset.value && autoSaveEnabled.value) {
         handleChange()
@@ -569,6 +694,7 @@ export const usePresetStore = defineStore('preset', () => {
     presets,
     currentPresetId,
     isLoading,
+    pendingPresetId,
     hasUnsavedChanges,
     lastSaveTime,
     autoSaveEnabled,
@@ -43,8 +43,7 @@ export const useSynthStore = defineStore('synth', () => {
   // Abrir modal de edición
   const openSynthEditor = (loopId) => {
     const audioStore = useAudioStore()
-    const loopsArr = Array.isArray(audioStore.loops) ? audioStore.loops : audioStore.loops?.value
-    const loop = loopsArr?.[loopId]
+    const loop = audioStore.getLoop(loopId)
     
     if (loop) {
       currentLoopId.value = loopId
@@ -175,8 +174,7 @@ export const useSynthStore = defineStore('synth', () => {
     if (currentLoopId.value === null) return
     
     const audioStore = useAudioStore()
-    const loopsArr = Array.isArray(audioStore.loops) ? audioStore.loops : audioStore.loops?.value
-    const loop = loopsArr?.[currentLoopId.value]
+    const loop = audioStore.getLoop(currentLoopId.value)
     
     if (!loop || !loop.synth) return
 
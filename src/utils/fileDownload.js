@@ -0,0 +1,19 @@
+// Descargar un Blob desde el navegador con el nombre indicado
+export const downloadBlob = (blob, filename) => {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  // Dar tiempo al navegador a iniciar la descarga antes de liberar la URL
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
+}
+
+// Nombre de archivo seguro con marca de tiempo, p. ej. "loops-2024-05-01-1230.wav"
+export const timestampedFilename = (prefix, extension) => {
+  const stamp = new Date().toISOString().slice(0, 16).replace('T', '-').replace(':', '')
+  const safePrefix = String(prefix || 'export').trim().replace(/[^\w-]+/g, '-')
+  return `${safePrefix}-${stamp}.${extension}`
+}
@@ -0,0 +1,62 @@
+/**
+ * Plantillas de groove y swing aplicadas al programar cada paso.
+ * Los desplazamientos se expresan en fracciones de paso (1 = una semicorchea)
+ * y solo retrasan la nota: el transporte no puede programar antes de `time`.
+ */
+
+// Desplazamiento máximo que aporta el swing (1.0 = 75% estilo MPC)
+export const MAX_SWING_OFFSET = 0.5
+// Límite total para no invadir el paso siguiente
+const MAX_TOTAL_OFFSET = 0.9
+
+export const DEFAULT_GROOVE = 'straight'
+
+// Swing estilo MPC: porcentaje de la corchea en el que cae la semicorchea par
+const mpcSwing = (percent) => (2 * percent) / 100 - 1
+
+export const GROOVE_TEMPLATES = {
+  straight: { label: 'Recto', offsets: [0, 0] },
+  mpc54: { label: 'MPC 54%', offsets: [0, mpcSwing(54)] },
+  mpc58: { label: 'MPC 58%', offsets: [0, mpcSwing(58)] },
+  mpc62: { label: 'MPC 62%', offsets: [0, mpcSwing(62)] },
+  mpc66: { label: 'MPC 66%', offsets: [0, mpcSwing(66)] },
+  mpc71: { label: 'MPC 71%', offsets: [0, mpcSwing(71)] },
+  mpc75: { label: 'MPC 75%', offsets: [0, mpcSwing(75)] },
+  // Shuffle de tresillo: la semicorchea par cae en el último tercio
+  shuffle: { label: 'Shuffle', offsets: [0, 1 / 3] },
+  // Todo ligeramente detrás del pulso, más en los contratiempos
+  laidBack: { label: 'Laid-back', offsets: [0.06, 0.18, 0.1, 0.22] }
+}
+
+export const GROOVE_NAMES = Object.keys(GROOVE_TEMPLATES)
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+
+/**
+ * Desplazamiento (en pasos) de un paso concreto.
+ * Combina la plantilla, el swing de los pasos impares y los micro-desplazamientos
+ * por paso (`stepOffsets[i]`, fracción de paso) de un loop.
+ */
+export const getGrooveOffset = (stepIndex, { groove = DEFAULT_GROOVE, swing = 0, stepOffsets = null } = {}) => {
+  const template = GROOVE_TEMPLATES[groove] || GROOVE_TEMPLATES[DEFAULT_GROOVE]
+  const templateOffset = template.offsets[stepIndex % template.offsets.length] || 0
+  const swingOffset = stepIndex % 2 === 1 ? clamp(Number(swing) || 0, 0, 1) * MAX_SWING_OFFSET : 0
+  const microOffset = Array.isArray(stepOffsets) ? Number(stepOffsets[stepIndex]) || 0 : 0
+
+  return clamp(templateOffset + swingOffset + microOffset, 0, MAX_TOTAL_OFFSET)
+}
+
+// Convertir la salida de usePatterns().generateSwingPattern en micro-desplazamientos por paso
+export const offsetsFromSwingPattern = (swingPattern = []) => {
+  return swingPattern.map(step => (step && step.active ? Number(step.timing) || 0 : 0))
+}
+
+// Sanear un array de micro-desplazamientos (null = sin desplazamientos).
+// Acepta números o directamente los pasos { active, timing } de generateSwingPattern.
+export const sanitizeStepOffsets = (offsets) => {
+  if (!Array.isArray(offsets)) return null
+  const values = offsets.some(step => step && typeof step === 'object')
+    ? offsetsFromSwingPattern(offsets)
+    : offsets
+  return values.map(offset => clamp(Number(offset) || 0, 0, MAX_TOTAL_OFFSET))
+}
@@ -0,0 +1,195 @@
+/**
+ * Lectura y escritura de Standard MIDI Files.
+ * Al escribir (formato 1) la pista 0 lleva tempo y compás; cada pista siguiente, sus notas en un canal.
+ */
+
+export const DEFAULT_PPQ = 96
+
+// Cantidad de longitud variable (VLQ) usada para los deltas y longitudes de meta eventos
+const writeVarLength = (value) => {
+  let buffer = value & 0x7F
+  const bytes = []
+  while ((value >>= 7) > 0) {
+    buffer <<= 8
+    buffer |= (value & 0x7F) | 0x80
+  }
+  for (;;) {
+    bytes.push(buffer & 0xFF)
+    if (buffer & 0x80) buffer >>= 8
+    else break
+  }
+  return bytes
+}
+
+const textBytes = (text) => Array.from(new TextEncoder().encode(String(text)))
+
+const uint32 = (value) => [(value >>> 24) & 0xFF, (value >>> 16) & 0xFF, (value >>> 8) & 0xFF, value & 0xFF]
+const uint16 = (value) => [(value >>> 8) & 0xFF, value & 0xFF]
+
+const clamp7 = (value) => Math.max(0, Math.min(127, Math.round(value)))
+
+// Convertir eventos absolutos { tick, data } en bytes de una pista MTrk con deltas
+const encodeTrack = (events) => {
+  const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order)
+  const bytes = []
+  let lastTick = 0
+  sorted.forEach(event => {
+    bytes.push(...writeVarLength(Math.max(0, event.tick - lastTick)), ...event.data)
+    lastTick = Math.max(lastTick, event.tick)
+  })
+  bytes.push(0x00, 0xFF, 0x2F, 0x00) // fin de pista
+
+  const header = [0x4D, 0x54, 0x72, 0x6B, ...uint32(bytes.length)]
+  return [...header, ...bytes]
+}
+
+const metaEvent = (tick, type, data) => ({ tick, order: 0, data: [0xFF, type, ...writeVarLength(data.length), ...data] })
+
+/**
+ * Codificar un archivo MIDI.
+ * tracks: [{ name, channel (0-15), program (0-127), volume (0-1), pan (-1..1),
+ *            notes: [{ tick, duration, note, velocity (0-1) }] }]
+ * Devuelve un Uint8Array.
+ */
+export const encodeMidiFile = ({ tracks = [], bpm = 120, timeSignature = [4, 4], ppq = DEFAULT_PPQ, name = '' } = {}) => {
+  const microsecondsPerBeat = Math.round(60000000 / Math.max(1, bpm))
+  const [numerator, denominator] = timeSignature
+
+  const conductor = [
+    metaEvent(0, 0x51, [(microsecondsPerBeat >> 16) & 0xFF, (microsecondsPerBeat >> 8) & 0xFF, microsecondsPerBeat & 0xFF]),
+    metaEvent(0, 0x58, [numerator, Math.log2(denominator), 24, 8])
+  ]
+  if (name) conductor.unshift(metaEvent(0, 0x03, textBytes(name)))
+
+  const encodedTracks = [encodeTrack(conductor)]
+
+  tracks.forEach(track => {
+    const channel = Math.max(0, Math.min(15, track.channel ?? 0))
+    const events = []
+    if (track.name) events.push(metaEvent(0, 0x03, textBytes(track.name)))
+    events.push({ tick: 0, order: 1, data: [0xC0 | channel, clamp7(track.program ?? 0)] })
+    if (track.volume !== undefined) events.push({ tick: 0, order: 1, data: [0xB0 | channel, 7, clamp7(track.volume * 127)] })
+    if (track.pan !== undefined) events.push({ tick: 0, order: 1, data: [0xB0 | channel, 10, clamp7((track.pan + 1) * 63.5)] })
+
+    track.notes.forEach(({ tick, duration, note, velocity }) => {
+      const start = Math.max(0, Math.round(tick))
+      const end = start + Math.max(1, Math.round(duration))
+      const pitch = clamp7(note)
+      // Los note-off van antes que los note-on del mismo tick para no cortar notas repetidas
+      events.push({ tick: start, order: 3, data: [0x90 | channel, pitch, Math.max(1, clamp7(velocity * 127))] })
+      events.push({ tick: end, order: 2, data: [0x80 | channel, pitch, 0] })
+    })
+
+    encodedTracks.push(encodeTrack(events))
+  })
+
+  const header = [0x4D, 0x54, 0x68, 0x64, ...uint32(6), ...uint16(1), ...uint16(encodedTracks.length), ...uint16(ppq)]
+  return Uint8Array.from([...header, ...encodedTracks.flat()])
+}
+
+// Leer una cantidad de longitud variable; devuelve { value, next } (posición siguiente)
+const readVarLength = (bytes, position) => {
+  let value = 0
+  let next = position
+  let byte
+  do {
+    byte = bytes[next++]
+    value = (value << 7) | (byte & 0x7F)
+  } while (byte & 0x80 && next < bytes.length)
+  return { value, next }
+}
+
+const readString = (bytes, start, length) => new TextDecoder().decode(bytes.subarray(start, start + length))
+
+/**
+ * Leer un Standard MIDI File (formatos 0 y 1).
+ * Devuelve { format, ppq, bpm, timeSignature, tracks: [{ name, notes: [{ tick, duration, note, velocity, channel }] }] }
+ * con velocidades en 0-1. Las notas sin note-off terminan en el último evento de su pista.
+ */
+export const parseMidiFile = (data) => {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data)
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  if (readString(bytes, 0, 4) !== 'MThd') throw new Error('No es un archivo MIDI')
+  const format = view.getUint16(8)
+  const trackCount = view.getUint16(10)
+  const division = view.getUint16(12)
+  if (division & 0x8000) throw new Error('MIDI con división SMPTE no soportado')
+
+  const result = { format, ppq: division, bpm: 120, timeSignature: [4, 4], tracks: [] }
+  let position = 8 + view.getUint32(4)
+
+  for (let t = 0; t < trackCount && position + 8 <= bytes.length; t++) {
+    const chunkType = readString(bytes, position, 4)
+    const chunkLength = view.getUint32(position + 4)
+    const end = Math.min(bytes.length, position + 8 + chunkLength)
+    position += 8
+    if (chunkType !== 'MTrk') {
+      position = end
+      continue
+    }
+
+    const track = { name: '', notes: [] }
+    const openNotes = new Map() // `${channel}:${note}` -> notas abiertas (FIFO)
+    let tick = 0
+    let runningStatus = 0
+
+    while (position < end) {
+      const delta = readVarLength(bytes, position)
+      tick += delta.value
+      position = delta.next
+
+      let status = bytes[position]
+      if (status & 0x80) {
+        position++
+      } else {
+        status = runningStatus // running status: se reutiliza el último estado
+      }
+
+      if (status === 0xFF) {
+        const type = bytes[position++]
+        const { value: length, next } = readVarLength(bytes, position)
+        position = next
+        if (type === 0x03 && !track.name) track.name = readString(bytes, position, length)
+        if (type === 0x51 && length === 3) {
+          const microseconds = (bytes[position] << 16) | (bytes[position + 1] << 8) | bytes[position + 2]
+          if (microseconds > 0) result.bpm = Math.round(60000000 / microseconds * 100) / 100
+        }
+        if (type === 0x58 && length >= 2) result.timeSignature = [bytes[position], 2 ** bytes[position + 1]]
+        position += length
+        continue
+      }
+      if (status === 0xF0 || status === 0xF7) {
+        const { value: length, next } = readVarLength(bytes, position)
+        position = next + length
+        continue
+      }
+
+      runningStatus = status
+      const type = status & 0xF0
+      const channel = status & 0x0F
+      const hasTwoDataBytes = type !== 0xC0 && type !== 0xD0
+      const data1 = bytes[position++]
+      const data2 = hasTwoDataBytes ? bytes[position++] : 0
+
+      const key = `${channel}:${data1}`
+      if (type === 0x90 && data2 > 0) {
+        const note = { tick, duration: 0, note: data1, velocity: data2 / 127, channel }
+        track.notes.push(note)
+        if (!openNotes.has(key)) openNotes.set(key, [])
+        openNotes.get(key).push(note)
+      } else if (type === 0x80 || type === 0x90) {
+        const pending = openNotes.get(key)
+        const note = pending?.shift()
+        if (note) note.duration = tick - note.tick
+      }
+    }
+
+    openNotes.forEach(pending => pending.forEach(note => { note.duration = Math.max(0, tick - note.tick) }))
+    track.notes.sort((a, b) => a.tick - b.tick || a.note - b.note)
+    result.tracks.push(track)
+    position = end
+  }
+
+  return result
+}
@@ -0,0 +1,423 @@
+/**
+ * Generadores de patrones melódicos puros.
+ * Cada generador recibe { length, scale, baseNote, density, octaveRange, noteRange, options }
+ * y devuelve un array de notas MIDI (null = silencio) de longitud `length`.
+ */
+
+const MIN_MIDI = 24
+const MAX_MIDI = 96
+
+export const PATTERN_TYPES = ['random', 'euclidean', 'arpeggio', 'randomWalk', 'pedal', 'callAnswer']
+
+// Pesos por defecto para la selección de generador de cada loop
+export const DEFAULT_PATTERN_PROBABILITIES = {
+  random: 0.2,
+  euclidean: 0.2,
+  arpeggio: 0.2,
+  randomWalk: 0.2,
+  pedal: 0.1,
+  callAnswer: 0.1
+}
+
+const randomInt = (max) => Math.floor(Math.random() * max)
+
+const shuffle = (items) => {
+  const result = [...items]
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1)
+      ;[result[i], result[j]] = [result[j], result[i]]
+  }
+  return result
+}
+
+const getPulseCount = (length, density) => {
+  return Math.max(1, Math.min(length, Math.round(length * density)))
+}
+
+// Elegir posiciones distribuidas al azar (misma estrategia que la generación clásica)
+const pickRandomPositions = (length, density) => {
+  const count = getPulseCount(length, density)
+  return shuffle(Array.from({ length }, (_, i) => i))
+    .slice(0, count)
+    .sort((a, b) => a - b)
+}
+
+/**
+ * Construir la lista ascendente de notas de la escala disponibles para un loop.
+ * Cada entrada guarda el grado de la escala para que los generadores puedan
+ * razonar en grados (arpegios, pasos) en lugar de semitonos.
+ */
+export const buildScalePool = ({ scale, baseNote = 60, octaveRange = 2, noteRange = {} }) => {
+  const min = Math.max(MIN_MIDI, noteRange.min ?? MIN_MIDI)
+  const max = Math.min(MAX_MIDI, noteRange.max ?? MAX_MIDI)
+  const octaves = Math.max(1, octaveRange)
+
+  // Las notas fuera del rango se pliegan por octavas para conservar su grado
+  const byNote = new Map()
+  for (let octave = 0; octave < octaves; octave++) {
+    scale.forEach((interval, degree) => {
+      let note = baseNote + interval + (octave * 12)
+      while (note > max) note -= 12
+      while (note < min) note += 12
+      if (note <= max && !byNote.has(note)) {
+        byNote.set(note, { note, degree })
+      }
+    })
+  }
+
+  const pool = Array.from(byNote.values()).sort((a, b) => a.note - b.note)
+  if (pool.length > 0) return pool
+
+  // Rango demasiado estrecho para la base del loop: buscar las notas de la escala dentro del rango
+  const pitchClass = ((baseNote % 12) + 12) % 12
+  for (let note = min; note <= max; note++) {
+    const relative = ((note - pitchClass) % 12 + 12) % 12
+    const degree = scale.indexOf(relative)
+    if (degree !== -1) pool.push({ note, degree })
+  }
+
+  return pool.length > 0 ? pool : [{ note: Math.max(min, Math.min(max, baseNote)), degree: 0 }]
+}
+
+/**
+ * Ritmo euclidiano (algoritmo de Bjorklund) con rotación.
+ * Devuelve un array de booleanos de longitud `steps` con `pulses` golpes.
+ */
+export const euclideanRhythm = (steps, pulses, rotation = 0) => {
+  if (steps <= 0) return []
+  const hits = Math.max(0, Math.min(steps, Math.round(pulses)))
+  if (hits === 0) return new Array(steps).fill(false)
+  if (hits === steps) return new Array(steps).fill(true)
+
+  let groups = Array.from({ length: hits }, () => [true])
+  let remainders = Array.from({ length: steps - hits }, () => [false])
+
+  while (remainders.length > 1) {
+    const pairs = Math.min(groups.length, remainders.length)
+    const merged = []
+    for (let i = 0; i < pairs; i++) {
+      merged.push([...groups[i], ...remainders[i]])
+    }
+    const leftover = groups.length > pairs ? groups.slice(pairs) : remainders.slice(pairs)
+    groups = merged
+    remainders = leftover
+  }
+
+  const pattern = [...groups, ...remainders].flat()
+  const offset = ((Math.round(rotation) % steps) + steps) % steps
+  if (offset === 0) return pattern
+  return pattern.map((_, i) => pattern[(i - offset + steps) % steps])
+}
+
+// Patrón aleatorio clásico: posiciones mezcladas y notas al azar de la escala
+export const generateRandomPattern = (params) => {
+  const { length, density = 0.4 } = params
+  const pool = buildScalePool(params)
+  const positions = new Set(pickRandomPositions(length, density))
+
+  return Array.from({ length }, (_, i) => {
+    if (!positions.has(i)) return null
+    return pool[randomInt(pool.length)].note
+  })
+}
+
+// Patrón euclidiano: golpes distribuidos uniformemente, nota al azar en cada golpe
+export const generateEuclideanPattern = (params) => {
+  const { length, density = 0.4, options = {} } = params
+  const pool = buildScalePool(params)
+  const pulses = options.pulses ?? getPulseCount(length, density)
+  const rotation = options.rotation ?? randomInt(length)
+  const rhythm = euclideanRhythm(length, pulses, rotation)
+
+  return rhythm.map(hit => (hit ? pool[randomInt(pool.length)].note : null))
+}
+
+/**
+ * Arpegio sobre los grados 1-3-5(-7) de la escala global.
+ * options.direction: 'up' | 'down' | 'upDown'
+ */
+export const generateArpeggioPattern = (params) => {
+  const { length, scale, density = 0.4, options = {} } = params
+  const pool = buildScalePool(params)
+  const directions = ['up', 'down', 'upDown']
+  const direction = directions.includes(options.direction)
+    ? options.direction
+    : directions[randomInt(directions.length)]
+
+  // Tonos del acorde: grados alternos de la escala (triada/cuatriada apilada en terceras)
+  const chordDegrees = scale.length >= 7 ? [0, 2, 4, 6] : [0, 2, 4]
+  const chordTones = pool.filter(entry => chordDegrees.includes(entry.degree)).map(entry => entry.note)
+  const tones = chordTones.length > 1 ? chordTones : pool.map(entry => entry.note)
+
+  let sequence
+  if (direction === 'down') {
+    sequence = [...tones].reverse()
+  } else if (direction === 'upDown') {
+    // Subir y bajar sin repetir los extremos
+    sequence = tones.length > 2 ? [...tones, ...tones.slice(1, -1).reverse()] : tones
+  } else {
+    sequence = tones
+  }
+
+  const rhythm = euclideanRhythm(length, getPulseCount(length, density), 0)
+  let index = 0
+  return rhythm.map(hit => {
+    if (!hit) return null
+    const note = sequence[index % sequence.length]
+    index++
+    return note
+  })
+}
+
+// Paseo aleatorio por grados conjuntos (pasos de ±1, ocasionalmente ±2)
+export const generateRandomWalkPattern = (params) => {
+  const { length, density = 0.4, options = {} } = params
+  const pool = buildScalePool(params)
+  const positions = pickRandomPositions(length, density)
+  const maxStep = Math.max(1, options.maxStep ?? 2)
+
+  let index = options.startIndex ?? Math.floor(pool.length / 2) + randomInt(3) - 1
+  index = Math.max(0, Math.min(pool.length - 1, index))
+
+  const notes = new Array(length).fill(null)
+  positions.forEach((position, i) => {
+    if (i > 0) {
+      const size = Math.random() < 0.75 ? 1 : maxStep
+      const direction = Math.random() < 0.5 ? -1 : 1
+      let next = index + (direction * size)
+      // Rebotar en los bordes del rango disponible
+      if (next < 0 || next >= pool.length) next = index - (direction * size)
+      index = Math.max(0, Math.min(pool.length - 1, next))
+    }
+    notes[position] = pool[index].note
+  })
+
+  return notes
+}
+
+/**
+ * Pedal u ostinato.
+ * options.mode: 'pedal' (tónica repetida con alguna nota superior) | 'ostinato' (célula corta repetida)
+ */
+export const generatePedalPattern = (params) => {
+  const { length, density = 0.4, options = {} } = params
+  const pool = buildScalePool(params)
+  const mode = options.mode === 'pedal' || options.mode === 'ostinato'
+    ? options.mode
+    : (Math.random() < 0.5 ? 'pedal' : 'ostinato')
+
+  if (mode === 'pedal') {
+    const pedalNote = (pool.find(entry => entry.degree === 0) || pool[0]).note
+    const upperTones = pool.filter(entry => entry.note > pedalNote).map(entry => entry.note)
+    const rhythm = euclideanRhythm(length, getPulseCount(length, density), 0)
+    return rhythm.map(hit => {
+      if (!hit) return null
+      if (upperTones.length > 0 && Math.random() < 0.2) {
+        return upperTones[randomInt(upperTones.length)]
+      }
+      return pedalNote
+    })
+  }
+
+  // Ostinato: generar una célula y repetirla a lo largo del loop
+  const cellLength = Math.min(length, options.cellLength ?? [2, 3, 4][randomInt(3)] * 2)
+  const cell = generateRandomWalkPattern({ ...params, length: cellLength })
+  if (!cell.some(note => note !== null)) {
+    cell[0] = pool[randomInt(pool.length)].note
+  }
+  return Array.from({ length }, (_, i) => cell[i % cellLength])
+}
+
+// Pregunta y respuesta: la segunda mitad responde a la primera y resuelve en la tónica
+export const generateCallAnswerPattern = (params) => {
+  const { length } = params
+  if (length < 4) return generateRandomWalkPattern(params)
+
+  const pool = buildScalePool(params)
+  const phraseLength = Math.floor(length / 2)
+  const call = generateRandomWalkPattern({ ...params, length: phraseLength })
+  const poolIndexOf = (note) => Math.max(0, pool.findIndex(entry => entry.note === note))
+
+  // La respuesta conserva el ritmo de la pregunta desplazando los grados
+  const shift = [-2, -1, 1, 2][randomInt(4)]
+  const answer = call.map(note => {
+    if (note === null) return null
+    const index = Math.max(0, Math.min(pool.length - 1, poolIndexOf(note) + shift))
+    return pool[index].note
+  })
+
+  // Resolver la última nota de la respuesta en la tónica más cercana
+  const lastIndex = answer.map(note => note !== null).lastIndexOf(true)
+  if (lastIndex !== -1) {
+    const tonics = pool.filter(entry => entry.degree === 0)
+    if (tonics.length > 0) {
+      const target = answer[lastIndex]
+      answer[lastIndex] = tonics.reduce((best, entry) =>
+        Math.abs(entry.note - target) < Math.abs(best - target) ? entry.note : best, tonics[0].note)
+    }
+  }
+
+  const notes = [...call, ...answer]
+  while (notes.length < length) notes.push(null)
+  return notes
+}
+
+export const patternGenerators = {
+  random: generateRandomPattern,
+  euclidean: generateEuclideanPattern,
+  arpeggio: generateArpeggioPattern,
+  randomWalk: generateRandomWalkPattern,
+  pedal: generatePedalPattern,
+  callAnswer: generateCallAnswerPattern
+}
+
+/**
+ * Selección ponderada de generador a partir de los pesos del loop.
+ * Los pesos se normalizan; si todos son cero se usa 'random'.
+ */
+export const selectPatternType = (probabilities = DEFAULT_PATTERN_PROBABILITIES) => {
+  const entries = Object.entries(probabilities || {})
+    .filter(([type, weight]) => patternGenerators[type] && Number(weight) > 0)
+
+  const total = entries.reduce((sum, [, weight]) => sum + Number(weight), 0)
+  if (total <= 0) return 'random'
+
+  let threshold = Math.random() * total
+  for (const [type, weight] of entries) {
+    threshold -= Number(weight)
+    if (threshold < 0) return type
+  }
+  return entries[entries.length - 1][0]
+}
+
+// Generar un patrón del tipo indicado (tipos desconocidos usan el aleatorio)
+export const generatePattern = (type, params) => {
+  const generator = patternGenerators[type] || generateRandomPattern
+  const length = Math.max(1, Math.round(params.length || 16))
+  const notes = generator({ ...params, length })
+
+  // Garantizar al menos una nota en el patrón
+  if (!notes.some(note => note !== null && note !== undefined)) {
+    const pool = buildScalePool(params)
+    notes[0] = pool[0].note
+  }
+  return notes
+}
+
+/**
+ * Pistas por paso que acompañan a las notas: velocidad (0-1), gate en pasos
+ * (null = duración por defecto del sintetizador) y probabilidad de disparo (0-1).
+ */
+export const STEP_LANES = ['velocity', 'gate', 'probability']
+export const DEFAULT_STEP_LANE_VALUES = { velocity: 1, gate: null, probability: 1 }
+export const MAX_GATE_STEPS = 16
+
+const clampUnit = (value, fallback) => {
+  const number = Number(value)
+  return Number.isFinite(number) ? Math.max(0, Math.min(1, number)) : fallback
+}
+
+// Sanear un valor de una pista (valores inválidos vuelven al valor por defecto)
+export const sanitizeLaneValue = (lane, value) => {
+  if (value === null || value === undefined) return DEFAULT_STEP_LANE_VALUES[lane]
+  if (lane === 'gate') {
+    const gate = Number(value)
+    return Number.isFinite(gate) && gate > 0 ? Math.min(MAX_GATE_STEPS, gate) : null
+  }
+  return clampUnit(value, DEFAULT_STEP_LANE_VALUES[lane])
+}
+
+const randomBetween = (min, max) => min + Math.random() * (max - min)
+const round2 = (value) => Math.round(value * 100) / 100
+
+/**
+ * Generar velocidades, gates y probabilidades para un patrón de notas.
+ * Acentúa los tiempos fuertes, añade notas fantasma y deja algunos pasos
+ * débiles con probabilidad menor que 1 para que el loop respire.
+ * options: { ghostChance, chanceSteps, legatoChance }
+ */
+export const generateStepLanes = (notes, options = {}) => {
+  const { ghostChance = 0.15, chanceSteps = 0.15, legatoChance = 0.2 } = options
+  const length = notes.length
+
+  const lanes = { velocity: [], gate: [], probability: [] }
+  notes.forEach((note, i) => {
+    if (note === null || note === undefined) {
+      lanes.velocity.push(DEFAULT_STEP_LANE_VALUES.velocity)
+      lanes.gate.push(DEFAULT_STEP_LANE_VALUES.gate)
+      lanes.probability.push(DEFAULT_STEP_LANE_VALUES.probability)
+      return
+    }
+
+    const downbeat = i % 4 === 0
+    const ghost = !downbeat && Math.random() < ghostChance
+    const velocity = downbeat ? randomBetween(0.85, 1) : ghost ? randomBetween(0.2, 0.4) : randomBetween(0.55, 0.8)
+    lanes.velocity.push(round2(velocity))
+
+    // Legato ocasional hasta la siguiente nota (máximo 4 pasos)
+    let gate = null
+    if (!ghost && Math.random() < legatoChance) {
+      let distance = 1
+      while (distance < 4 && distance < length && notes[(i + distance) % length] === null) distance++
+      gate = distance
+    }
+    lanes.gate.push(gate)
+
+    const probability = !downbeat && Math.random() < chanceSteps ? randomBetween(0.5, 0.85) : 1
+    lanes.probability.push(round2(probability))
+  })
+
+  return lanes
+}
+
+/**
+ * Deriva suave de las pistas para la evolución: cambia velocidad y
+ * probabilidad de algunos pasos con nota sin tocar los tiempos fuertes.
+ */
+export const mutateStepLanes = (lanes, notes, intensity = 0.3) => {
+  const next = {
+    velocity: [...lanes.velocity],
+    gate: [...lanes.gate],
+    probability: [...lanes.probability]
+  }
+  const candidates = notes
+    .map((note, i) => (note !== null && note !== undefined ? i : -1))
+    .filter(i => i !== -1)
+  if (candidates.length === 0) return next
+
+  const changeCount = Math.max(1, Math.floor(candidates.length * intensity * 0.5))
+  for (let c = 0; c < changeCount; c++) {
+    const i = candidates[randomInt(candidates.length)]
+    next.velocity[i] = round2(sanitizeLaneValue('velocity', next.velocity[i] + randomBetween(-0.2, 0.2)))
+    if (i % 4 !== 0 && Math.random() < 0.3) {
+      next.probability[i] = round2(sanitizeLaneValue('probability', next.probability[i] + randomBetween(-0.25, 0.25)))
+    }
+  }
+  return next
+}
+
+/**
+ * Llevar las notas de los tiempos fuertes a la nota más cercana del acorde de tónica
+ * (grados 1-3-5 por defecto), para que el patrón encaje con la progresión global.
+ * options: { scale, baseNote, chordDegrees, strongBeat, noteRange }
+ */
+export const favorChordTones = (notes, options) => {
+  const { scale, baseNote = 60, chordDegrees = [0, 2, 4], strongBeat = 4, noteRange = {} } = options
+  if (!Array.isArray(scale) || scale.length === 0) return notes
+
+  const min = Math.max(MIN_MIDI, noteRange.min ?? MIN_MIDI)
+  const max = Math.min(MAX_MIDI, noteRange.max ?? MAX_MIDI)
+  const chordPitchClasses = chordDegrees.map(degree => (((baseNote + scale[degree % scale.length]) % 12) + 12) % 12)
+  const isChordTone = (note) => chordPitchClasses.includes(((note % 12) + 12) % 12)
+
+  return notes.map((note, i) => {
+    if (typeof note !== 'number' || i % strongBeat !== 0 || isChordTone(note)) return note
+
+    for (let distance = 1; distance <= 6; distance++) {
+      const candidates = [note - distance, note + distance].filter(n => n >= min && n <= max)
+      const match = candidates.find(isChordTone)
+      if (match !== undefined) return match
+    }
+    return note
+  })
+}
@@ -0,0 +1,81 @@
+/**
+ * Modos de reproducción por loop: en qué orden se recorren los pasos. El tiempo
+ * no cambia (el paso k sigue sonando en su sitio de la rejilla); solo cambia qué
+ * posición del loop se lee en cada paso.
+ */
+
+export const PLAY_MODES = {
+  forward: 'Adelante',
+  reverse: 'Atrás',
+  pingpong: 'Ping-pong',
+  pendulum: 'Péndulo', // ping-pong repitiendo los extremos
+  random: 'Aleatorio',
+  drunk: 'Paseo aleatorio', // un paso adelante o atrás cada vez
+  shuffle: 'Barajado' // todos los pasos una vez por ciclo, en orden aleatorio
+}
+
+export const DEFAULT_PLAY_MODE = 'forward'
+
+export const sanitizePlayMode = (mode) => (PLAY_MODES[mode] ? mode : DEFAULT_PLAY_MODE)
+
+const shuffleSteps = (length) => {
+  const order = Array.from({ length }, (_, step) => step)
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    const swap = order[i]
+    order[i] = order[j]
+    order[j] = swap
+  }
+  return order
+}
+
+/**
+ * Posición del loop que suena en el paso absoluto `index` (el mismo de getStepsInPulse).
+ * Los modos aleatorios guardan su memoria en `state` (uno por loop); todos dejan ahí
+ * la última posición leída (`state.position`) para los indicadores de la UI.
+ */
+export const getPlayPosition = (mode, index, length, state = {}) => {
+  const cycleStep = index % length
+  let position
+
+  switch (mode) {
+    case 'reverse':
+      position = length - 1 - cycleStep
+      break
+    case 'pingpong': {
+      // Ida y vuelta sin repetir los extremos: 0 1 2 3 2 1 0 1...
+      const period = Math.max(1, 2 * length - 2)
+      const bounce = index % period
+      position = bounce < length ? bounce : period - bounce
+      break
+    }
+    case 'pendulum': {
+      // Ida y vuelta repitiendo los extremos: 0 1 2 3 3 2 1 0 0 1...
+      const bounce = index % (2 * length)
+      position = bounce < length ? bounce : 2 * length - 1 - bounce
+      break
+    }
+    case 'random':
+      position = Math.floor(Math.random() * length)
+      break
+    case 'drunk': {
+      const previous = Number.isInteger(state.position) ? Math.min(state.position, length - 1) : -1
+      position = previous < 0 ? 0 : (previous + (Math.random() < 0.5 ? length - 1 : 1)) % length
+      break
+    }
+    case 'shuffle': {
+      const cycle = Math.floor(index / length)
+      if (state.cycle !== cycle || state.order?.length !== length) {
+        state.order = shuffleSteps(length)
+        state.cycle = cycle
+      }
+      position = state.order[cycleStep]
+      break
+    }
+    default:
+      position = cycleStep
+  }
+
+  state.position = position
+  return position
+}
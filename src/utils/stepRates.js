@@ -0,0 +1,74 @@
+/**
+ * Resolución de paso por loop (división de reloj). El transporte sigue avanzando
+ * un pulso por semicorchea; cada loop da `steps` pasos cada `pulses` pulsos.
+ * Con razones enteras los pasos caen siempre en el mismo sitio y no acumulan deriva.
+ */
+
+export const MAX_RATE_FACTOR = 16
+
+export const STEP_RATES = {
+  '32n': { label: '1/32', steps: 2, pulses: 1 },
+  '16t': { label: '1/16t', steps: 3, pulses: 2 },
+  '16n': { label: '1/16', steps: 1, pulses: 1 },
+  '8t': { label: '1/8t', steps: 3, pulses: 4 },
+  '8n': { label: '1/8', steps: 1, pulses: 2 },
+  '4n': { label: '1/4', steps: 1, pulses: 4 }
+}
+
+export const DEFAULT_STEP_RATE = { steps: 1, pulses: 1 }
+
+const clampFactor = (value) => Math.max(1, Math.min(MAX_RATE_FACTOR, Math.round(Number(value)) || 1))
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b))
+
+// Sanear una resolución ({ steps, pulses } o el nombre de STEP_RATES); se guarda reducida
+export const sanitizeStepRate = (rate) => {
+  const source = typeof rate === 'string' ? STEP_RATES[rate] : rate
+  if (!source) return { ...DEFAULT_STEP_RATE }
+  const steps = clampFactor(source.steps)
+  const pulses = clampFactor(source.pulses)
+  const divisor = gcd(steps, pulses)
+  return { steps: steps / divisor, pulses: pulses / divisor }
+}
+
+// Nombre de la resolución predefinida que coincide (null = personalizada)
+export const getStepRateName = (rate) => {
+  const { steps, pulses } = sanitizeStepRate(rate)
+  return Object.keys(STEP_RATES).find(name => STEP_RATES[name].steps === steps && STEP_RATES[name].pulses === pulses) ?? null
+}
+
+export const formatStepRate = (rate) => {
+  const name = getStepRateName(rate)
+  if (name) return STEP_RATES[name].label
+  const { steps, pulses } = sanitizeStepRate(rate)
+  return `${steps}:${pulses}`
+}
+
+// Duración de un paso del loop en pulsos (semicorcheas)
+export const getStepLength = (rate = DEFAULT_STEP_RATE) => rate.pulses / rate.steps
+
+/**
+ * Pasos del loop que empiezan dentro del pulso `pulse` (el primero es el 1).
+ * Devuelve [{ index, offset }]: índice absoluto del paso desde el inicio del
+ * transporte y su desplazamiento dentro del pulso (fracción de semicorchea).
+ */
+export const getStepsInPulse = (rate = DEFAULT_STEP_RATE, pulse) => {
+  const { steps, pulses } = rate
+  const start = pulse - 1
+  if (steps === 1 && pulses === 1) return [{ index: start, offset: 0 }]
+
+  const events = []
+  // El paso k empieza en k * pulses / steps: los de este pulso cumplen start <= k * pulses / steps < start + 1
+  const first = Math.ceil((start * steps) / pulses)
+  const last = Math.ceil(((start + 1) * steps) / pulses) - 1
+  for (let index = first; index <= last; index++) {
+    events.push({ index, offset: (index * pulses) / steps - start })
+  }
+  return events
+}
+
+// Paso del loop en curso tras el pulso `pulse` (para los indicadores de la UI)
+export const getStepAtPulse = (rate = DEFAULT_STEP_RATE, pulse, length) => {
+  const index = Math.max(0, Math.floor(((pulse - 1) * rate.steps) / rate.pulses))
+  return index % length
+}
@@ -0,0 +1,71 @@
+/**
+ * Codificación de audio PCM a WAV (RIFF) para descargar renders offline.
+ */
+
+export const WAV_BIT_DEPTHS = [16, 24]
+
+const writeString = (view, offset, text) => {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i))
+  }
+}
+
+/**
+ * Codificar canales Float32 (-1..1) como WAV PCM entrelazado.
+ * Las muestras fuera de rango se recortan. Devuelve un ArrayBuffer.
+ */
+export const encodeWav = (channels, sampleRate, bitDepth = 16) => {
+  if (!Array.isArray(channels) || channels.length === 0) {
+    throw new Error('Se necesita al menos un canal de audio')
+  }
+  const depth = WAV_BIT_DEPTHS.includes(bitDepth) ? bitDepth : 16
+  const bytesPerSample = depth / 8
+  const numChannels = channels.length
+  const numFrames = channels[0].length
+  const blockAlign = numChannels * bytesPerSample
+  const dataSize = numFrames * blockAlign
+
+  const buffer = new ArrayBuffer(44 + dataSize)
+  const view = new DataView(buffer)
+
+  // Cabecera RIFF / fmt / data
+  writeString(view, 0, 'RIFF')
+  view.setUint32(4, 36 + dataSize, true)
+  writeString(view, 8, 'WAVE')
+  writeString(view, 12, 'fmt ')
+  view.setUint32(16, 16, true)
+  view.setUint16(20, 1, true) // PCM
+  view.setUint16(22, numChannels, true)
+  view.setUint32(24, sampleRate, true)
+  view.setUint32(28, sampleRate * blockAlign, true)
+  view.setUint16(32, blockAlign, true)
+  view.setUint16(34, depth, true)
+  writeString(view, 36, 'data')
+  view.setUint32(40, dataSize, true)
+
+  const maxValue = depth === 24 ? 0x7FFFFF : 0x7FFF
+  let offset = 44
+  for (let frame = 0; frame < numFrames; frame++) {
+    for (let channel = 0; channel < numChannels; channel++) {
+      const sample = Math.max(-1, Math.min(1, channels[channel][frame] || 0))
+      const value = Math.round(sample * maxValue)
+      if (depth === 24) {
+        view.setUint8(offset, value & 0xFF)
+        view.setUint8(offset + 1, (value >> 8) & 0xFF)
+        view.setUint8(offset + 2, (value >> 16) & 0xFF)
+      } else {
+        view.setInt16(offset, value, true)
+      }
+      offset += bytesPerSample
+    }
+  }
+
+  return buffer
+}
+
+// Codificar un AudioBuffer (o ToneAudioBuffer) como Blob WAV
+export const audioBufferToWav = (audioBuffer, bitDepth = 16) => {
+  const buffer = typeof audioBuffer?.get === 'function' ? audioBuffer.get() : audioBuffer
+  const channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i))
+  return new Blob([encodeWav(channels, buffer.sampleRate, bitDepth)], { type: 'audio/wav' })
+}
@@ -0,0 +1,95 @@
+/**
+ * Escritor ZIP mínimo (método "store", sin compresión) para empaquetar exportaciones.
+ * Los WAV apenas se comprimen, así que no merece la pena depender de una librería.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+export const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0
+}
+
+const toBytes = (data) => {
+  if (typeof data === 'string') return new TextEncoder().encode(data)
+  if (data instanceof ArrayBuffer) return new Uint8Array(data)
+  if (ArrayBuffer.isView(data)) return new Uint8Array(data.buffer, data.byteOffset, data.byteLength)
+  throw new Error('Tipo de datos no soportado en el ZIP')
+}
+
+// Fecha y hora en formato MS-DOS
+const dosDateTime = (date = new Date()) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+/**
+ * Crear un ZIP a partir de `files` ([{ name, data }], data: string, ArrayBuffer o TypedArray).
+ * Devuelve un Blob 'application/zip'.
+ */
+export const createZip = (files) => {
+  const { time, date } = dosDateTime()
+  const parts = []
+  const centralDirectory = []
+  let offset = 0
+
+  files.forEach(({ name, data }) => {
+    const nameBytes = new TextEncoder().encode(name)
+    const bytes = toBytes(data)
+    const crc = crc32(bytes)
+
+    const local = new DataView(new ArrayBuffer(30))
+    local.setUint32(0, 0x04034B50, true)
+    local.setUint16(4, 20, true) // versión necesaria
+    local.setUint16(6, 0x0800, true) // nombres en UTF-8
+    local.setUint16(8, 0, true) // store
+    local.setUint16(10, time, true)
+    local.setUint16(12, date, true)
+    local.setUint32(14, crc, true)
+    local.setUint32(18, bytes.length, true)
+    local.setUint32(22, bytes.length, true)
+    local.setUint16(26, nameBytes.length, true)
+    local.setUint16(28, 0, true)
+    parts.push(local, nameBytes, bytes)
+
+    const central = new DataView(new ArrayBuffer(46))
+    central.setUint32(0, 0x02014B50, true)
+    central.setUint16(4, 20, true)
+    central.setUint16(6, 20, true)
+    central.setUint16(8, 0x0800, true)
+    central.setUint16(10, 0, true)
+    central.setUint16(12, time, true)
+    central.setUint16(14, date, true)
+    central.setUint32(16, crc, true)
+    central.setUint32(20, bytes.length, true)
+    central.setUint32(24, bytes.length, true)
+    central.setUint16(28, nameBytes.length, true)
+    central.setUint32(42, offset, true)
+    centralDirectory.push(central, nameBytes)
+
+    offset += 30 + nameBytes.length + bytes.length
+  })
+
+  const centralSize = centralDirectory.reduce((size, part) => size + part.byteLength, 0)
+  const end = new DataView(new ArrayBuffer(22))
+  end.setUint32(0, 0x06054B50, true)
+  end.setUint16(8, files.length, true)
+  end.setUint16(10, files.length, true)
+  end.setUint32(12, centralSize, true)
+  end.setUint32(16, offset, true)
+
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' })
+}